@@ -4,7 +4,8 @@
 // @version      1.0.0
 // @description  Bulk add titles to an IMDb list from CSV data or file upload, with optional descriptions and rate-limit delay.
 // @author       Amaan Al Mir
-// @match        https://www.imdb.com/list/ls*/edit*
+// @match        https://www.imdb.com/list/ls*
+// @match        https://www.imdb.com/user/ur*/lists*
 // @icon         https://www.imdb.com/favicon.ico
 // @grant        none
 // @license      MIT
@@ -46,6 +47,26 @@
   }
 }`,
 
+    reorderItem: `mutation ReorderListItem($listId: ID!, $itemId: ID!, $position: Int!) {
+  reorderItemInList(
+    input: {listId: $listId, itemId: $itemId, position: $position}
+  ) {
+    listId
+  }
+}`,
+
+    createList: `mutation CreateList($input: CreateListInput!) {
+  createList(input: $input) {
+    listId
+  }
+}`,
+
+    removeItem: `mutation RemoveListItem($listId: ID!, $itemId: ID!) {
+  removeItemFromList(input: {listId: $listId, itemId: $itemId}) {
+    listId
+  }
+}`,
+
     editDescription: `mutation EditListItemDescription($listId: ID!, $itemId: ID!, $itemDescription: String!) {
   editListItemDescription(
     input: {listId: $listId, itemId: $itemId, itemDescription: $itemDescription}
@@ -57,6 +78,200 @@
 }`,
   };
 
+  /**
+   * The list mutations graphqlBatch can pack into one request: root field,
+   * input (given the variable names), variable types and selection set –
+   * the same as in MUTATIONS.
+   */
+  const BATCH_OPERATIONS = {
+    add: {
+      field: "addItemToList",
+      input: (v) => `listId: ${v.listId}, item: {itemElementId: ${v.constId}}`,
+      types: { listId: "ID!", constId: "ID!" },
+      selection: `{
+    modifiedItem {
+      itemId
+      listItem {
+        ... on Title { id titleText { text } }
+        ... on Name  { id nameText  { text } }
+      }
+    }
+  }`,
+    },
+    describe: {
+      field: "editListItemDescription",
+      input: (v) =>
+        `listId: ${v.listId}, itemId: ${v.itemId}, itemDescription: ${v.itemDescription}`,
+      types: { listId: "ID!", itemId: "ID!", itemDescription: "String!" },
+      selection: "{ formattedItemDescription { originalText { plainText } } }",
+    },
+    remove: {
+      field: "removeItemFromList",
+      input: (v) => `listId: ${v.listId}, itemId: ${v.itemId}`,
+      types: { listId: "ID!", itemId: "ID!" },
+      selection: "{ listId }",
+    },
+  };
+
+  /** Items packed into one request when batching is on. */
+  const BATCH_SIZE = 10;
+
+  /** Choices for how many requests (or batches) are in flight at once. */
+  const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6, 8];
+
+  const QUERIES = {
+    listItems: `query ListItems($listId: ID!, $first: Int!, $after: String) {
+  list(id: $listId) {
+    items(first: $first, after: $after) {
+      total
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          itemId
+          createdDate
+          description {
+            originalText { markdown }
+          }
+          listItem {
+            ... on Title { id titleText { text } }
+            ... on Name  { id nameText  { text } }
+          }
+        }
+      }
+    }
+  }
+}`,
+
+    titleMetadata: `query TitleMetadata($titleIds: [ID!]!, $nameIds: [ID!]!) {
+  titles(ids: $titleIds) {
+    id
+    titleText { text }
+    releaseYear { year }
+    runtime { seconds }
+    ratingsSummary { aggregateRating }
+    titleGenres { genres { genre { text } } }
+    principalCredits {
+      category { id }
+      credits { name { nameText { text } } }
+    }
+  }
+  names(ids: $nameIds) {
+    id
+    nameText { text }
+  }
+}`,
+
+    constCheck: `query ConstCheck($titleIds: [ID!]!, $nameIds: [ID!]!) {
+  titles(ids: $titleIds) {
+    id
+    titleText { text }
+    titleType { text }
+    releaseYear { year }
+  }
+  names(ids: $nameIds) {
+    id
+    nameText { text }
+  }
+}`,
+
+    session: `query Session {
+  me { userId }
+}`,
+
+    listAccess: `query ListAccess($listId: ID!) {
+  me { userId }
+  list(id: $listId) {
+    name { originalText }
+    listType { id }
+    author { userId }
+  }
+}`,
+
+    userLists: `query UserLists($first: Int!, $after: String) {
+  userLists(first: $first, after: $after, filter: {listClassTypes: [LIST]}) {
+    pageInfo { hasNextPage endCursor }
+    edges {
+      node {
+        id
+        name { originalText }
+        listType { id }
+      }
+    }
+  }
+}`,
+  };
+
+  /** IDs per TitleMetadata or ConstCheck request. */
+  const METADATA_BATCH_SIZE = 50;
+
+  /** Template placeholders filled from IMDb rather than from the input. */
+  const METADATA_FIELDS = [
+    "title",
+    "year",
+    "runtime",
+    "director",
+    "rating",
+    "genres",
+  ];
+
+  /** A list-item const: a title (tt…) or a person (nm…). */
+  const CONST_PATTERN = /^(tt|nm)\d+$/;
+  /** ID text meant as a const but mistyped ("tt12345x", "t0111161"). */
+  const CONST_ATTEMPT_PATTERN = /^(tt|nm)|^[a-z]{0,2}\d{5,}$/i;
+
+  /** Any IMDb title, name or list identifier inside free text. */
+  const ID_PATTERN = /\b(?:tt|nm|ls)\d{7,}\b/g;
+
+  /** Markup tags IMDb renders in list item descriptions. */
+  const MARKUP_TAGS = ["b", "i", "h2", "link"];
+
+  /** Descriptions longer than this are rejected before upload. */
+  const MAX_DESCRIPTION_LENGTH = 10000;
+
+  /** Lines of pasted or uploaded text sampled to pick the delimiter. */
+  const DELIMITER_SAMPLE_LINES = 20;
+
+  /** IMDb's public search-suggestion endpoint used to resolve titles by name. */
+  const SUGGESTION_ENDPOINT = "https://v3.sg.media-imdb.com/suggestion/x/";
+
+  /** Page size used when reading a list's items. */
+  const LIST_PAGE_SIZE = 250;
+
+  /** Retry policy for transient GraphQL failures (429, 5xx, network errors, throttling). */
+  const RETRY = {
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+  };
+
+  /** Bounds for the inter-request delay while IMDb is throttling us. */
+  const THROTTLE = {
+    minDelayMs: 2000,
+    maxDelayMs: 60000,
+  };
+
+  /** GraphQL error messages that mean "try again later" rather than "this item is bad". */
+  const THROTTLE_ERROR_PATTERN = /throttl|rate.?limit|too many requests/i;
+  const TRANSIENT_ERROR_PATTERN =
+    /timed? ?out|temporar|unavailable|internal (server )?error|try again/i;
+
+  /** GraphQL error messages that mean the session is missing or not allowed. */
+  const AUTH_ERROR_PATTERN =
+    /not (logged|signed) in|unauthori[sz]ed|unauthenticated|authenticat|forbidden|permission|access denied/i;
+
+  /** Consecutive auth failures after which a run pauses instead of going on. */
+  const AUTH_PAUSE_AFTER = 3;
+
+  /**
+   * Rough time one request takes, used to estimate a run's speed from the
+   * delay setting until enough items have finished to measure it.
+   */
+  const REQUEST_ESTIMATE_MS = 1000;
+  const RATE_MIN_SAMPLES = 3;
+
+  /** localStorage key prefix for persisted upload jobs (one per list). */
+  const JOB_STORAGE_PREFIX = "imdb-bulk-uploader:job:";
+
   // ---------------------------------------------------------------------------
   // Helpers – Page context
   // ---------------------------------------------------------------------------
@@ -95,492 +310,5034 @@
    * 1. `id,description` header row followed by data rows
    * 2. Plain list of IDs (one per line, no header)
    * 3. Mix – rows with or without the description column
+   * 4. Rows without a const – "Title (Year)" in the ID column, or separate
+   *    title / year / type columns. These come back with an empty `id` and a
+   *    `lookup` of {title, year, type} to resolve.
+   * 5. Any other CSV – comma, semicolon or tab separated, quoted fields may
+   *    span lines – with the columns picked by a `mapping` (see guessMapping).
+   *
+   * Every entry carries the 1-based `line` it starts on. Malformed rows are
+   * kept (see validateItems) rather than dropped. An ID field holding an IMDb
+   * title or name URL is reduced to its const.
+   *
+   * @param {string}  raw
+   * @param {object}  [opts]
+   * @param {boolean} [opts.extract=false]  Ignore the CSV layout and pull every
+   *   ID out of arbitrary text instead (see extractIds).
+   * @param {boolean} [opts.trailingDescriptions=false]  In extract mode, use the
+   *   text after a line's last ID as that item's description.
+   * @param {object}  [opts.mapping]  Column mapping; guessed when omitted.
+   */
+  function parseInput(
+    raw,
+    { extract = false, trailingDescriptions = false, mapping } = {},
+  ) {
+    if (extract) {
+      const lines = raw
+        .split(/\r?\n/)
+        .map((text, i) => ({ text: text.trim(), number: i + 1 }))
+        .filter((l) => l.text);
+      return extractIds(lines, trailingDescriptions);
+    }
+
+    const table = parseTable(raw);
+    return tableToItems(table, mapping ?? guessMapping(table));
+  }
+
+  /** Column mapping used when the input has no header row. */
+  const DEFAULT_COLUMNS = {
+    id: 0,
+    description: 1,
+    title: -1,
+    year: -1,
+    type: -1,
+    position: -1,
+    list: -1,
+  };
+
+  /** Header names recognised without looking at the data. */
+  const KNOWN_HEADER_PATTERN =
+    /^(id|const|tconst|imdb ?id|description|title|year|type|position|list)$/i;
+
+  const containsId = (text) => /\b(?:tt|nm|ls)\d{7,}\b/.test(text);
+
+  /**
+   * Split raw text into a table: {delimiter, headers, rows, format}.
+   * `headers` is null when the first record is data; each row is
+   * {fields, line}. `format` is the IMPORT_FORMATS entry the data was
+   * recognised as, or null. JSON input is read as a Trakt export.
    */
-  function parseInput(raw) {
-    const lines = raw
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter(Boolean);
+  function parseTable(raw) {
+    const text = raw.replace(/^\uFEFF/, "");
+    if (/^\s*[[{]/.test(text)) {
+      try {
+        return traktToTable(JSON.parse(text));
+      } catch {
+        // Not JSON after all – fall through to CSV.
+      }
+    }
+
+    const delimiter = detectDelimiter(text);
+    return recordsToTable(parseCSV(text, delimiter), delimiter);
+  }
 
-    if (lines.length === 0) return [];
+  /**
+   * Build a table (see parseTable) from records of {fields, line}: find a
+   * known import format's header, else decide whether the first record is a
+   * header row. `delimiter` is null for records read from a spreadsheet.
+   */
+  function recordsToTable(records, delimiter) {
+    for (const format of IMPORT_FORMATS) {
+      if (!format.matches) continue;
+      const at = format.headerIndex ? format.headerIndex(records) : 0;
+      const names = records[at]?.fields.map((f) => f.trim().toLowerCase());
+      if (at >= 0 && names && format.matches(names)) {
+        return {
+          delimiter,
+          headers: records[at].fields.map((f) => f.trim()),
+          rows: records.slice(at + 1),
+          format,
+        };
+      }
+    }
 
-    // Detect whether the first line is a header row.
-    const firstLine = lines[0].toLowerCase();
+    const [first, next] = records;
     const hasHeader =
-      firstLine === "id" ||
-      firstLine === "id,description" ||
-      firstLine.startsWith("id,");
-    const dataLines = hasHeader ? lines.slice(1) : lines;
+      first &&
+      !first.fields.some(containsId) &&
+      (first.fields.some((f) => KNOWN_HEADER_PATTERN.test(f.trim())) ||
+        Boolean(next?.fields.some(containsId)));
 
-    return dataLines.map(parseLine).filter((entry) => entry !== null);
+    return {
+      delimiter,
+      headers: hasHeader ? first.fields.map((f) => f.trim()) : null,
+      rows: hasHeader ? records.slice(1) : records,
+      format: null,
+    };
   }
 
   /**
-   * Parse a single CSV line, respecting quoted fields.
-   * Returns {id, description} or null if the line is invalid.
+   * Pick the delimiter – comma, semicolon or tab – that splits the first
+   * records into the same number of columns most often, so semicolons in a
+   * comma-separated description don't win by count alone. A tie goes to
+   * the delimiter that leaves more IMDb IDs alone in the first column, then
+   * to the comma, tab and semicolon in that order. Defaults to a comma.
    */
-  function parseLine(line) {
-    const fields = splitCSVLine(line);
-    const id = fields[0]?.trim();
-    if (!id) return null;
+  function detectDelimiter(text) {
+    const sample = text
+      .split(/\r\n?|\n/)
+      .slice(0, DELIMITER_SAMPLE_LINES)
+      .join("\n");
+    let best = ",";
+    let bestScore = 0;
+    let bestIds = 0;
+
+    [",", "\t", ";"].forEach((delimiter) => {
+      const widths = new Map();
+      let ids = 0;
+      parseCSV(sample, delimiter).forEach(({ fields }) => {
+        if (fields.length > 1) {
+          widths.set(fields.length, (widths.get(fields.length) ?? 0) + 1);
+        }
+        if (/^(?:tt|nm|ls)\d+$/.test(normalizeId(fields[0].trim()))) ids++;
+      });
+      const score = Math.max(0, ...widths.values());
+      if (score > bestScore || (score === bestScore && ids > bestIds)) {
+        best = delimiter;
+        bestScore = score;
+        bestIds = ids;
+      }
+    });
 
-    const description = fields.length > 1 ? fields[1]?.trim() : "";
-    return { id, description };
+    return best;
   }
 
-  /** Splits a CSV line by comma while respecting double-quoted fields. */
-  function splitCSVLine(line) {
-    const fields = [];
-    let current = "";
+  /**
+   * RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and
+   * line breaks. A quote only opens a quoted field at the field's start;
+   * elsewhere (`5" vinyl`) it is kept as typed. Returns non-blank records as
+   * {fields, line}, where `line` is the 1-based line the record starts on.
+   */
+  function parseCSV(text, delimiter = ",") {
+    const records = [];
+    let fields = [];
+    let field = "";
     let inQuotes = false;
+    let line = 1;
+    let startLine = 1;
+
+    const endRecord = () => {
+      fields.push(field);
+      if (fields.some((f) => f.trim()))
+        records.push({ fields, line: startLine });
+      fields = [];
+      field = "";
+    };
 
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
           i++; // skip escaped quote
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else if (ch === "\r" || ch === "\n") {
+          if (ch === "\r" && text[i + 1] === "\n") i++;
+          field += "\n";
+          line++;
         } else {
-          inQuotes = !inQuotes;
+          field += ch;
         }
-      } else if (ch === "," && !inQuotes) {
-        fields.push(current);
-        current = "";
+      } else if (ch === '"' && field === "") {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        fields.push(field);
+        field = "";
+      } else if (ch === "\r" || ch === "\n") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        endRecord();
+        startLine = ++line;
       } else {
-        current += ch;
+        field += ch;
       }
     }
-    fields.push(current);
-    return fields;
+    endRecord();
+
+    return records;
   }
 
-  // ---------------------------------------------------------------------------
-  // GraphQL API calls
-  // ---------------------------------------------------------------------------
+  /**
+   * Combine the tables of several files into one whose rows remember their
+   * `source`. With header rows, rows are lined up with the first file's
+   * columns by header name; without, by position. Files with and without a
+   * header row can't be lined up, so mixing them throws. Returns
+   * {table, ignored} with `ignored` listing, per file, header names the
+   * first file doesn't have. The table's `sources` is the number of files.
+   */
+  function mergeTables(parts) {
+    const [first] = parts;
+    const headed = parts.filter((p) => p.table.headers);
+    if (headed.length > 0 && headed.length < parts.length) {
+      const bare = parts.filter((p) => !p.table.headers).map((p) => p.source);
+      throw new Error(
+        `${bare.join(", ")} ${bare.length > 1 ? "have" : "has"} no header row but ${headed[0].source} does, so their columns can't be lined up. Give every file a header row, or none.`,
+      );
+    }
 
-  async function addItemToList(listId, constId) {
-    const res = await fetch(GRAPHQL_ENDPOINT, {
-      method: "POST",
-      credentials: "include",
-      headers: buildHeaders(),
-      body: JSON.stringify({
-        query: MUTATIONS.addItem,
-        operationName: "AddConstToList",
-        variables: { listId, constId },
-      }),
+    const names = first.table.headers?.map((h) => h.toLowerCase());
+    const ignored = [];
+
+    const rows = parts.flatMap(({ source, table }) => {
+      const own = table.headers?.map((h) => h.toLowerCase());
+      const order = names && own ? names.map((n) => own.indexOf(n)) : null;
+      const extra = order
+        ? table.headers.filter((_, i) => !order.includes(i))
+        : [];
+      if (extra.length > 0) ignored.push({ source, columns: extra });
+
+      return table.rows.map((row) => ({
+        ...row,
+        fields: order
+          ? order.map((col) => (col >= 0 ? (row.fields[col] ?? "") : ""))
+          : row.fields,
+        ...(source ? { source } : {}),
+      }));
     });
 
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} – ${res.statusText}`);
+    return {
+      table: {
+        delimiter: first.table.delimiter,
+        headers: first.table.headers,
+        rows,
+        format: parts.every((p) => p.table.format === first.table.format)
+          ? first.table.format
+          : null,
+        sources: parts.length,
+      },
+      ignored,
+    };
+  }
+
+  /** Display names for a table's columns: its headers, or "Column N". */
+  function columnLabels(table) {
+    if (table.headers) return table.headers;
+    const width = Math.max(0, ...table.rows.map((r) => r.fields.length));
+    return Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+  }
+
+  /**
+   * Guess which column holds what. A recognised import format dictates its
+   * own columns. Otherwise header names are matched first; failing that, the
+   * ID column is the one whose values contain IMDb IDs. Returns
+   * {id, description, title, year, type, position, list} column indices (-1 when absent).
+   */
+  function guessMapping(table) {
+    if (!table.headers) return { ...DEFAULT_COLUMNS };
+
+    const names = table.headers.map((h) => h.toLowerCase());
+    const find = (pattern) => names.findIndex((n) => pattern.test(n));
+
+    if (table.format) {
+      const mapping = { ...DEFAULT_COLUMNS, description: -1 };
+      Object.entries(table.format.columns).forEach(([key, name]) => {
+        mapping[key] = names.indexOf(name);
+      });
+      return mapping;
     }
 
-    const json = await res.json();
-    if (json.errors?.length) {
-      throw new Error(json.errors.map((e) => e.message).join("; "));
+    let id = find(/^(id|const|tconst|imdb ?id|imdb_id|imdb)$/);
+    if (id === -1) {
+      const sample = table.rows.slice(0, 20);
+      id = names.findIndex((_, col) =>
+        sample.some((r) => containsId(r.fields[col] || "")),
+      );
     }
 
-    return json.data.addItemToList.modifiedItem;
+    return {
+      id,
+      description: find(/desc|note|comment/),
+      title: find(/^(title|name|film|movie)$/),
+      year: find(/^year$/),
+      type: find(/^(type|title ?type|kind)$/),
+      position: find(/^(position|pos|rank|#)$/),
+      list: find(/^(list|list ?id|list ?name)$/),
+    };
   }
 
-  async function updateDescription(listId, itemId, description) {
-    const res = await fetch(GRAPHQL_ENDPOINT, {
-      method: "POST",
-      credentials: "include",
-      headers: buildHeaders(),
-      body: JSON.stringify({
-        query: MUTATIONS.editDescription,
-        operationName: "EditListItemDescription",
-        variables: { listId, itemId, itemDescription: description },
-      }),
+  /**
+   * Values a description template can refer to for one row: every column by
+   * its (case-insensitive) header name and by its 1-based number.
+   */
+  function rowVariables(table, fields) {
+    const vars = {};
+    fields.forEach((value, i) => {
+      vars[String(i + 1)] = value.trim();
+      const name = table.headers?.[i];
+      if (name) vars[name.toLowerCase()] = value.trim();
     });
+    return vars;
+  }
 
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status} – ${res.statusText}`);
-    }
+  /**
+   * Fill `{name}` placeholders from `vars` and turn `\n` in the template
+   * into line breaks – a `\n` inside a filled-in value is kept as typed;
+   * unknown placeholders are kept.
+   */
+  function applyTemplate(template, vars) {
+    return template
+      .replace(/\{([^{}]+)\}|\\n/g, (match, key) => {
+        if (key === undefined) return "\n";
+        const value = vars[key.trim().toLowerCase()];
+        return value === undefined ? match : value;
+      })
+      .trim();
+  }
 
-    const json = await res.json();
-    if (json.errors?.length) {
-      throw new Error(json.errors.map((e) => e.message).join("; "));
-    }
+  /**
+   * Turn table rows into items using `mapping`. A row whose ID column holds
+   * no const becomes a lookup on its title column, or on the ID text itself
+   * unless that looks like a mistyped const – which stays an invalid ID.
+   * A numeric position column value is kept as `position` and a list column
+   * value as `list`; the row's columns are kept as `vars` for the
+   * description template. Rows of merged files keep their `source`.
+   */
+  function tableToItems(table, mapping) {
+    return table.rows.map(({ fields, line, source }) => {
+      const field = (col) => (col >= 0 ? (fields[col]?.trim() ?? "") : "");
+
+      const id = normalizeId(field(mapping.id));
+      const description = field(mapping.description);
+
+      const extra = { line, vars: rowVariables(table, fields) };
+      if (source) extra.source = source;
+      const position = parseInt(field(mapping.position), 10);
+      if (Number.isFinite(position)) extra.position = position;
+      const list = field(mapping.list);
+      if (list) extra.list = list;
+
+      if (CONST_PATTERN.test(id)) return { id, description, ...extra };
 
-    return json.data.editListItemDescription;
+      const lookup = parseTitleQuery(
+        field(mapping.title) || (CONST_ATTEMPT_PATTERN.test(id) ? "" : id),
+        field(mapping.year),
+        field(mapping.type),
+      );
+      return lookup
+        ? { id: "", description, lookup, ...extra }
+        : { id, description, ...extra };
+    });
   }
 
   // ---------------------------------------------------------------------------
-  // Bulk upload orchestrator
+  // Helpers – Import formats
   // ---------------------------------------------------------------------------
 
   /**
-   * Process a list of items sequentially.
-   *
-   * @param {Array<{id:string, description:string}>} items
-   * @param {object}  opts
-   * @param {boolean} opts.useDelay
-   * @param {number}  opts.delayMs
-   * @param {function} opts.onProgress  Called after each item with (index, total, status).
-   * @param {function} opts.getAborted  Returns true when the user has cancelled.
+   * Exports from other places we recognise by their header row. Each names
+   * the (lower-case) headers that map to our columns and offers description
+   * `presets` – templates built from its other columns. `headerIndex` finds
+   * the header record when the file has a preamble (-1 when it doesn't apply).
+   * The first format that matches wins, so IMDb list exports – which carry
+   * "Your Rating" too – are tried before ratings exports. Rows without an
+   * IMDb ID fall back to a title/year lookup.
    */
-  async function processItems(
-    items,
-    { useDelay, delayMs, onProgress, getAborted },
-  ) {
-    const listId = getListId();
-    if (!listId) throw new Error("Could not determine list ID from URL.");
+  const IMPORT_FORMATS = [
+    {
+      name: "IMDb list export",
+      matches: (h) => h.includes("const") && h.includes("position"),
+      columns: {
+        id: "const",
+        description: "description",
+        title: "title",
+        year: "year",
+        type: "title type",
+        position: "position",
+      },
+      presets: [
+        { label: "IMDb rating", template: "IMDb rating: {IMDb Rating}/10" },
+        { label: "Directors", template: "Directed by {Directors}" },
+      ],
+    },
+    {
+      name: "IMDb ratings export",
+      matches: (h) => h.includes("const") && h.includes("date rated"),
+      columns: {
+        id: "const",
+        title: "title",
+        year: "year",
+        type: "title type",
+      },
+      presets: [
+        { label: "My rating", template: "My rating: {Your Rating}/10" },
+        {
+          label: "My rating and date",
+          template: "My rating: {Your Rating}/10 (rated {Date Rated})",
+        },
+      ],
+    },
+    {
+      name: "Letterboxd list export",
+      headerIndex: (records) =>
+        /^letterboxd list export/i.test(records[0]?.fields[0] ?? "")
+          ? records.findIndex((r) => r.fields[0].trim() === "Position")
+          : -1,
+      matches: (h) => h.includes("name") && h.includes("year"),
+      columns: {
+        title: "name",
+        year: "year",
+        description: "description",
+        position: "position",
+      },
+      presets: [{ label: "Position", template: "#{Position}" }],
+    },
+    {
+      name: "Letterboxd export",
+      matches: (h) => h.includes("letterboxd uri"),
+      columns: { title: "name", year: "year", description: "review" },
+      presets: [
+        { label: "My rating", template: "My rating: {Rating}/5" },
+        { label: "Watched date", template: "Watched {Watched Date}" },
+      ],
+    },
+    {
+      name: "Trakt export",
+      columns: {
+        id: "imdb",
+        title: "title",
+        year: "year",
+        type: "type",
+        description: "notes",
+        position: "rank",
+      },
+      presets: [
+        { label: "My rating", template: "My rating: {rating}/10" },
+        { label: "Rank", template: "#{rank}" },
+      ],
+    },
+  ];
 
-    const results = [];
+  const TRAKT_TYPES = { movie: "movie", show: "series", person: "person" };
+  const TRAKT_COLUMNS = [
+    "imdb",
+    "title",
+    "year",
+    "type",
+    "rating",
+    "rank",
+    "notes",
+    "date",
+    "tmdb",
+  ];
 
-    for (let i = 0; i < items.length; i++) {
-      if (getAborted()) break;
+  /**
+   * Flatten a Trakt JSON export (ratings, watchlist, history or a list –
+   * an array of entries wrapping a movie / show / episode / person) into a
+   * table. Each entry keeps its IMDb ID and TMDB ID when Trakt has them.
+   * IMDb can't be searched by TMDB ID, so the TMDB ID is only there for
+   * templates; entries without an IMDb ID are looked up by title and year.
+   */
+  function traktToTable(json) {
+    const entries = Array.isArray(json) ? json : json.items;
+    if (!Array.isArray(entries)) throw new Error("Not a Trakt export.");
 
-      const item = items[i];
-      const status = {
-        id: item.id,
-        index: i,
-        ok: false,
-        error: null,
-        title: "",
-      };
+    const rows = entries.map((entry, i) => {
+      const kind =
+        entry.type ||
+        ["movie", "show", "episode", "person"].find((k) => entry[k]);
+      const node = entry[kind] || entry;
+      const ids = node.ids || {};
+      const fields = [
+        ids.imdb,
+        node.title || node.name,
+        node.year,
+        TRAKT_TYPES[kind],
+        entry.rating,
+        entry.rank,
+        entry.notes,
+        entry.rated_at || entry.listed_at || entry.watched_at,
+        ids.tmdb,
+      ].map((v) => (v == null ? "" : String(v)));
+      return { fields, line: i + 1 };
+    });
 
-      try {
-        // Step 1 – add the item
-        const added = await addItemToList(listId, item.id);
-        const titleNode = added?.listItem;
-        status.title =
-          titleNode?.titleText?.text || titleNode?.nameText?.text || item.id;
+    return {
+      delimiter: ",",
+      headers: TRAKT_COLUMNS,
+      rows,
+      format: IMPORT_FORMATS.find((f) => f.name === "Trakt export"),
+    };
+  }
 
-        // Step 2 – update description (if provided)
-        if (item.description) {
-          const itemId = added?.itemId;
-          if (itemId) {
-            await updateDescription(listId, itemId, item.description);
-          }
-        }
+  /** The presets of `table`'s format whose placeholders all exist in it. */
+  function availablePresets(table) {
+    const names = new Set(table.headers?.map((h) => h.toLowerCase()));
+    return (table.format?.presets ?? []).filter((preset) =>
+      [...preset.template.matchAll(/\{([^{}]+)\}/g)].every(([, key]) =>
+        names.has(key.trim().toLowerCase()),
+      ),
+    );
+  }
 
-        status.ok = true;
-      } catch (err) {
-        status.error = err.message;
-      }
+  /**
+   * Turn an IMDb URL or bare const/list ID into a `[link=…]` target such as
+   * `/title/tt0111161/`. Other http(s) URLs are kept; anything else is null.
+   */
+  function linkTarget(value) {
+    const text = value.trim();
+    const path = text.match(
+      /imdb\.com(\/(?:title|name|list)\/(?:tt|nm|ls)\d+)/,
+    );
+    if (path) return `${path[1]}/`;
+    const id = text.match(/^(tt|nm|ls)\d+$/);
+    if (id)
+      return `/${{ tt: "title", nm: "name", ls: "list" }[id[1]]}/${text}/`;
+    return /^https?:\/\/\S+$/.test(text) ? text : null;
+  }
 
-      results.push(status);
-      onProgress(i + 1, items.length, status);
+  /** Reduce an IMDb title or name URL to its const; other values pass through. */
+  function normalizeId(value) {
+    const fromUrl = value.match(/imdb\.com\/(?:title|name)\/((?:tt|nm)\d+)/);
+    return fromUrl ? fromUrl[1] : value;
+  }
 
-      // Delay between items (skip after the last item)
-      if (useDelay && i < items.length - 1 && !getAborted()) {
-        await sleep(delayMs);
-      }
+  /**
+   * Pull every tt/nm/ls identifier out of free text – URLs, HTML, Markdown,
+   * exports from other sites – keeping their order. A repeat of the same ID
+   * within one line (e.g. a Markdown link whose text is its own URL) counts
+   * once. With `trailingDescriptions`, whatever follows the last ID on a line
+   * (minus the rest of its URL and any separator) becomes its description.
+   * `ls` entries are list references, expanded later by expandListReferences.
+   */
+  function extractIds(lines, trailingDescriptions) {
+    const items = [];
+
+    lines.forEach(({ text, number }) => {
+      const matches = [...text.matchAll(ID_PATTERN)].filter(
+        (m, i, all) => i === 0 || m[0] !== all[i - 1][0],
+      );
+
+      matches.forEach((m, i) => {
+        let description = "";
+        if (trailingDescriptions && i === matches.length - 1) {
+          description = text
+            .slice(m.index + m[0].length)
+            .replace(/^[^\s,;|]*/, "") // rest of the URL or link markup
+            .replace(/<[^>]*>/g, "")
+            .replace(/^[\s,;|:\-–—]+/, "")
+            .trim();
+        }
+        items.push({ id: m[0], description, line: number });
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Build a lookup query from a title, splitting a trailing "(Year)" off the
+   * title when no separate year is given. Returns null for an empty title.
+   */
+  function parseTitleQuery(text, year = "", type = "") {
+    let title = text.trim();
+    const withYear = title.match(/^(.*?)\s*\((\d{4})\)$/);
+    if (withYear && !year) {
+      title = withYear[1];
+      year = withYear[2];
     }
+    if (!title) return null;
 
-    return results;
+    return {
+      title,
+      year: year ? parseInt(year, 10) : null,
+      type: normalizeType(type),
+    };
   }
 
-  function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  /**
+   * An item's input line for messages and the preview, prefixed with its
+   * file when several files were merged ("films.csv:12").
+   */
+  function lineRef(item, index) {
+    const line = String(item.line ?? index + 1);
+    return item.source ? `${item.source}:${line}` : line;
   }
 
-  // ---------------------------------------------------------------------------
-  // CSV template download
-  // ---------------------------------------------------------------------------
+  /** Quote a value for CSV output when it contains a delimiter, quote or newline. */
+  function csvField(value) {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
 
-  function downloadTemplate() {
-    const csv = 'id,description\ntt0111161,"Your description here"';
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "imdb_bulk_upload_template.csv";
-    a.click();
-    URL.revokeObjectURL(url);
+  /** Serialise a header plus rows (arrays of values) to CSV text. */
+  function toCSV(header, rows) {
+    return [header, ...rows]
+      .map((row) => row.map(csvField).join(","))
+      .join("\n");
   }
 
   // ---------------------------------------------------------------------------
-  // UI
+  // Helpers – Files and spreadsheets
   // ---------------------------------------------------------------------------
 
-  /** Find the "Add a title to this list" container using stable selectors. */
-  function findAddTitleSection() {
-    // Primary: stable data-testid on the autocomplete input
-    const input = document.querySelector(
-      '[data-testid="entity-autocomplete-input"]',
-    );
-    if (input) {
-      // Walk up to the section-level container that wraps the label + input
-      let el = input;
-      while (el && el.parentElement) {
-        el = el.parentElement;
-        // The wrapper is the first direct child of the page-section that contains the input
-        if (el.parentElement?.classList?.contains("list_page_mc_parent"))
-          return el;
-      }
-    }
+  /** Files the Upload tab takes; workbooks are read sheet by sheet. */
+  const INPUT_FILE_PATTERN = /\.(csv|tsv|txt|json|xlsx|ods)$/i;
+  const WORKBOOK_PATTERN = /\.(xlsx|ods)$/i;
 
-    // Fallback: find by label text
-    const allDivs = document.querySelectorAll("div");
-    for (const div of allDivs) {
-      if (
-        div.textContent.includes("Add a title to this list") &&
-        div.querySelector('input[placeholder="Search title to add"]') &&
-        div.parentElement?.tagName === "SECTION"
-      ) {
-        return div;
-      }
+  /**
+   * Read a chosen file: a text file as {name, text}, a workbook as
+   * {name, sheets, sheet} with `sheet` the index of its first non-empty sheet.
+   */
+  async function readInputFile(file) {
+    if (!WORKBOOK_PATTERN.test(file.name)) {
+      return { name: file.name, text: await file.text() };
     }
+    try {
+      const sheets = await readWorkbook(file);
+      if (sheets.length === 0) throw new Error("The workbook has no sheets.");
+      const sheet = Math.max(
+        0,
+        sheets.findIndex((s) => s.records.length > 0),
+      );
+      return { name: file.name, sheets, sheet };
+    } catch (err) {
+      throw new Error(`${file.name}: ${err.message}`);
+    }
+  }
 
-    return null;
+  /** A chosen file's name for messages, with the sheet when there's a choice. */
+  function sourceLabel(file) {
+    return file.sheets?.length > 1
+      ? `${file.name} › ${file.sheets[file.sheet].name}`
+      : file.name;
   }
 
-  function injectUI() {
-    const anchorSection = findAddTitleSection();
-    if (!anchorSection) {
-      console.warn(
-        "[IMDb Bulk Uploader] Could not find the add-title section.",
+  /** The table of a chosen file (see readInputFile), or of its picked sheet. */
+  function fileToTable(file) {
+    return file.sheets
+      ? recordsToTable(file.sheets[file.sheet].records, null)
+      : parseTable(file.text);
+  }
+
+  /** A chosen file as plain text, for pulling IDs out of it (extract mode). */
+  function fileToText(file) {
+    if (!file.sheets) return file.text;
+    const lines = [];
+    file.sheets[file.sheet].records.forEach(({ fields, line }) => {
+      lines[line - 1] = fields.join("\t");
+    });
+    return Array.from(lines, (l) => l ?? "").join("\n");
+  }
+
+  const XLSX_RELATIONSHIP_NS =
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  const ODS_TABLE_NS = "urn:oasis:names:tc:opendocument:xmlns:table:1.0";
+  const ODS_OFFICE_NS = "urn:oasis:names:tc:opendocument:xmlns:office:1.0";
+  const ODS_TEXT_NS = "urn:oasis:names:tc:opendocument:xmlns:text:1.0";
+
+  /** ODS value types whose cell text is locale-formatted; the raw value is used instead. */
+  const ODS_VALUE_ATTRIBUTES = {
+    float: "value",
+    percentage: "value",
+    currency: "value",
+    date: "date-value",
+    time: "time-value",
+    boolean: "boolean-value",
+  };
+
+  const byTag = (node, name) => [...node.getElementsByTagNameNS("*", name)];
+
+  /**
+   * Read the entries of a ZIP archive – the container of .xlsx and .ods
+   * files. Returns a Map of path → function resolving with the entry's
+   * text. Only stored and deflated entries are supported, which is all
+   * spreadsheet programs write.
+   */
+  function readZip(buffer) {
+    const view = new DataView(buffer);
+    const floor = Math.max(0, buffer.byteLength - 22 - 0xffff);
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= floor; i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) throw new Error("Not a valid workbook (no ZIP directory).");
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    let offset = view.getUint32(end + 16, true);
+    for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error("Not a valid workbook (damaged ZIP directory).");
+      }
+      const method = view.getUint16(offset + 10, true);
+      const size = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const skip =
+        view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+      const local = view.getUint32(offset + 42, true);
+      const name = decoder.decode(
+        new Uint8Array(buffer, offset + 46, nameLength),
       );
-      return;
+      const start =
+        local +
+        30 +
+        view.getUint16(local + 26, true) +
+        view.getUint16(local + 28, true);
+
+      entries.set(name, () =>
+        inflate(new Uint8Array(buffer, start, size), method),
+      );
+      offset += 46 + nameLength + skip;
     }
+    return entries;
+  }
 
-    // State
-    let aborted = false;
-    let running = false;
+  /** Decode one ZIP entry's bytes (method 0 stored, 8 deflated) as UTF-8 text. */
+  async function inflate(bytes, method) {
+    if (method === 0) return new TextDecoder().decode(bytes);
+    if (method !== 8) {
+      throw new Error(
+        `Unsupported compression in workbook (method ${method}).`,
+      );
+    }
+    let decompressor;
+    try {
+      decompressor = new DecompressionStream("deflate-raw");
+    } catch {
+      // Missing, or too old for "deflate-raw" (before Chrome 103)
+      throw new Error(
+        "Reading .xlsx and .ods files isn't supported in this browser (it needs Chrome 103+, Firefox 113+ or Safari 16.4+). Save the sheet as CSV instead.",
+      );
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(decompressor);
+    return new Response(stream).text();
+  }
 
-    // ---- Root card ----
-    const card = el("div", { className: "bulk-uploader-card" });
+  /**
+   * Read every sheet of an .xlsx or .ods workbook as [{name, records}],
+   * with records as {fields, line} (line = the sheet's row number) ready
+   * for recordsToTable. Empty rows are left out.
+   */
+  async function readWorkbook(file) {
+    const entries = readZip(await file.arrayBuffer());
+    const xml = async (path) =>
+      entries.has(path)
+        ? new DOMParser().parseFromString(
+            await entries.get(path)(),
+            "application/xml",
+          )
+        : null;
 
-    // ---- Header ----
-    const header = el("div", { className: "bu-header" }, [
-      el("div", { className: "bu-header-left" }, [
-        el("svg", {
-          innerHTML: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>`,
-        }),
-        el("span", { textContent: "Bulk Upload", className: "bu-title" }),
-      ]),
-      el("button", {
-        textContent: "Download CSV Template",
-        className: "bu-link-btn",
-        onclick: downloadTemplate,
-      }),
-    ]);
+    return /\.ods$/i.test(file.name)
+      ? odsSheets(await xml("content.xml"))
+      : xlsxSheets(xml);
+  }
 
-    // ---- Tabs ----
-    let activeTab = "textarea";
+  /** 0-based column of an A1-style cell reference ("AB12" → 27). */
+  function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() ?? "A";
+    return (
+      [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1
+    );
+  }
 
-    const tabTextarea = el("button", {
-      textContent: "Paste Data",
-      className: "bu-tab bu-tab-active",
-      onclick: () => switchTab("textarea"),
+  async function xlsxSheets(xml) {
+    const workbook = await xml("xl/workbook.xml");
+    if (!workbook) throw new Error("Not an Excel workbook.");
+
+    const rels = await xml("xl/_rels/workbook.xml.rels");
+    const targets = new Map(
+      rels
+        ? byTag(rels, "Relationship").map((r) => [
+            r.getAttribute("Id"),
+            r.getAttribute("Target"),
+          ])
+        : [],
+    );
+    const strings = await xml("xl/sharedStrings.xml");
+    // Rich text is split over several <t>; <rPh> holds phonetic hints, not text
+    const shared = strings
+      ? byTag(strings, "si").map((si) =>
+          byTag(si, "t")
+            .filter((t) => t.parentNode.localName !== "rPh")
+            .map((t) => t.textContent)
+            .join(""),
+        )
+      : [];
+
+    const sheets = [];
+    for (const sheet of byTag(workbook, "sheet")) {
+      const target =
+        targets.get(sheet.getAttributeNS(XLSX_RELATIONSHIP_NS, "id")) ?? "";
+      const doc = await xml(
+        target.startsWith("/") ? target.slice(1) : `xl/${target}`,
+      );
+      sheets.push({
+        name: sheet.getAttribute("name"),
+        records: doc ? xlsxRecords(doc, shared) : [],
+      });
+    }
+    return sheets;
+  }
+
+  function xlsxRecords(doc, shared) {
+    return byTag(doc, "row")
+      .map((row, i) => {
+        const fields = [];
+        byTag(row, "c").forEach((cell) => {
+          const ref = cell.getAttribute("r");
+          const col = ref ? columnIndex(ref) : fields.length;
+          const value = byTag(cell, "v")[0]?.textContent ?? "";
+          const type = cell.getAttribute("t");
+
+          let text = value;
+          if (type === "s") text = shared[parseInt(value, 10)] ?? "";
+          else if (type === "inlineStr")
+            text = byTag(cell, "t")
+              .map((t) => t.textContent)
+              .join("");
+          else if (type === "b") text = value === "1" ? "TRUE" : "FALSE";
+
+          while (fields.length < col) fields.push("");
+          fields[col] = text;
+        });
+        return { fields, line: parseInt(row.getAttribute("r"), 10) || i + 1 };
+      })
+      .filter((record) => record.fields.some((f) => f.trim()));
+  }
+
+  function odsSheets(doc) {
+    if (!doc) throw new Error("Not an OpenDocument spreadsheet.");
+
+    return [...doc.getElementsByTagNameNS(ODS_TABLE_NS, "table")].map(
+      (table) => {
+        const records = [];
+        let line = 1;
+        [...table.getElementsByTagNameNS(ODS_TABLE_NS, "table-row")].forEach(
+          (row) => {
+            const repeat =
+              parseInt(
+                row.getAttributeNS(ODS_TABLE_NS, "number-rows-repeated"),
+                10,
+              ) || 1;
+            const fields = [];
+            // Empty cells are only written out once something follows them, so
+            // the huge repeated blanks at the end of a row cost nothing
+            let blanks = 0;
+            [...row.children]
+              .filter(
+                (c) =>
+                  c.namespaceURI === ODS_TABLE_NS &&
+                  /table-cell$/.test(c.localName),
+              )
+              .forEach((cell) => {
+                const times =
+                  parseInt(
+                    cell.getAttributeNS(
+                      ODS_TABLE_NS,
+                      "number-columns-repeated",
+                    ),
+                    10,
+                  ) || 1;
+                const text = odsCellText(cell);
+                if (!text) {
+                  blanks += times;
+                  return;
+                }
+                fields.push(
+                  ...Array(blanks).fill(""),
+                  ...Array(times).fill(text),
+                );
+                blanks = 0;
+              });
+
+            if (fields.length > 0) {
+              for (let n = 0; n < repeat; n++)
+                records.push({ fields, line: line + n });
+            }
+            line += repeat;
+          },
+        );
+        return { name: table.getAttributeNS(ODS_TABLE_NS, "name"), records };
+      },
+    );
+  }
+
+  /** A cell's value: the raw value for numbers and dates, else its paragraphs' text. */
+  function odsCellText(cell) {
+    const type = cell.getAttributeNS(ODS_OFFICE_NS, "value-type");
+    const attribute = ODS_VALUE_ATTRIBUTES[type];
+    if (attribute && cell.hasAttributeNS(ODS_OFFICE_NS, attribute)) {
+      return cell.getAttributeNS(ODS_OFFICE_NS, attribute);
+    }
+
+    const text = (node) =>
+      [...node.childNodes]
+        .map((child) => {
+          if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+          if (child.nodeType !== Node.ELEMENT_NODE) return "";
+          if (child.localName === "s")
+            return " ".repeat(
+              parseInt(child.getAttributeNS(ODS_TEXT_NS, "c"), 10) || 1,
+            );
+          if (child.localName === "tab") return "\t";
+          if (child.localName === "line-break") return "\n";
+          return text(child);
+        })
+        .join("");
+    return [...cell.children]
+      .filter((c) => c.localName === "p")
+      .map(text)
+      .join("\n");
+  }
+
+  // ---------------------------------------------------------------------------
+  // Validation
+  // ---------------------------------------------------------------------------
+
+  const issue = (level, message) => ({ level, message });
+
+  /** An item's identity: its const, qualified by its `listId` when it has one. */
+  const itemKey = (item) =>
+    item.listId ? `${item.listId}/${item.id}` : item.id;
+
+  /**
+   * Check description markup: unknown tags, tags that are never closed or
+   * closed out of order, and `[link=…]` tags without a usable target.
+   * Returns an array of {level: "error"|"warning", message}.
+   */
+  function checkMarkup(text) {
+    const issues = [];
+    const open = [];
+
+    for (const [raw, closing, rawName, value] of text.matchAll(
+      /\[(\/?)([a-z0-9]+)(?:=([^\]]*))?\]/gi,
+    )) {
+      const name = rawName.toLowerCase();
+
+      if (!MARKUP_TAGS.includes(name)) {
+        issues.push(issue("warning", `Unknown tag ${raw} is shown as text`));
+      } else if (closing) {
+        if (open[open.length - 1] === name) {
+          open.pop();
+        } else if (open.includes(name)) {
+          issues.push(
+            issue(
+              "error",
+              `[/${name}] closes [${name}] before [/${open[open.length - 1]}]`,
+            ),
+          );
+          open.splice(open.lastIndexOf(name), 1);
+        } else {
+          issues.push(issue("error", `[/${name}] has no opening [${name}]`));
+        }
+      } else {
+        if (name === "link") {
+          if (!value?.trim()) {
+            issues.push(
+              issue(
+                "error",
+                "[link] needs a target, e.g. [link=/title/tt0111161/]",
+              ),
+            );
+          } else if (!/^(\/|https?:\/\/)\S+$/.test(value.trim())) {
+            issues.push(issue("error", `Malformed link target "${value}"`));
+          }
+        } else if (value !== undefined) {
+          issues.push(issue("error", `[${name}] does not take a value`));
+        }
+        open.push(name);
+      }
+    }
+
+    open.forEach((name) =>
+      issues.push(issue("error", `[${name}] is never closed`)),
+    );
+
+    if (/<\/?[a-z][a-z0-9]*(\s[^>]*)?>/i.test(text)) {
+      issues.push(
+        issue(
+          "warning",
+          "HTML tags are stripped – use [b], [i], [h2] or [link]",
+        ),
+      );
+    }
+    if (/\[[^\]]+\]\((https?:\/\/|\/)[^)\s]*\)/.test(text)) {
+      issues.push(
+        issue(
+          "warning",
+          "Markdown links are shown as text – use [link=…]…[/link]",
+        ),
+      );
+    }
+    if (/(\*\*|__)\S(.*?\S)?\1/.test(text)) {
+      issues.push(
+        issue("warning", "Markdown bold is shown as text – use [b]…[/b]"),
+      );
+    }
+    return issues;
+  }
+
+  /** List types and the const prefix of the items they take. */
+  const LIST_TYPE_PREFIXES = { TITLES: "tt", PEOPLE: "nm" };
+
+  /**
+   * Items whose const can't go on their list: `nm…` rows bound for a titles
+   * list or `tt…` rows for a people list. `typeOf(item)` gives the type of
+   * the item's target list; lists of unknown type accept anything.
+   */
+  function typeMismatches(items, typeOf) {
+    return items.filter((item) => {
+      const prefix = LIST_TYPE_PREFIXES[typeOf(item)];
+      return (
+        prefix && CONST_PATTERN.test(item.id) && !item.id.startsWith(prefix)
+      );
     });
-    const tabFile = el("button", {
-      textContent: "Upload CSV",
-      className: "bu-tab",
-      onclick: () => switchTab("file"),
+  }
+
+  /**
+   * Validate parsed items before upload. Returns one array of issues per
+   * item: bad or missing IDs, markup problems, over-long descriptions and
+   * rows that repeat an earlier one.
+   */
+  function validateItems(items) {
+    const firstSeen = new Map();
+
+    return items.map((item, i) => {
+      const issues = [];
+
+      if (!item.id) {
+        issues.push(issue("error", "Missing ID"));
+      } else if (!CONST_PATTERN.test(item.id)) {
+        issues.push(issue("error", `"${item.id}" is not a tt… or nm… ID`));
+      } else if (firstSeen.has(itemKey(item))) {
+        const first = firstSeen.get(itemKey(item));
+        issues.push(
+          issue("warning", `Same ID as line ${lineRef(first, first.index)}`),
+        );
+      } else {
+        firstSeen.set(itemKey(item), {
+          line: item.line,
+          source: item.source,
+          index: i,
+        });
+      }
+
+      const description = item.description || "";
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        issues.push(
+          issue(
+            "error",
+            `Description is ${description.length} characters (max ${MAX_DESCRIPTION_LENGTH})`,
+          ),
+        );
+      }
+      issues.push(...checkMarkup(description));
+
+      return issues;
     });
-    const tabBar = el("div", { className: "bu-tabs" }, [tabTextarea, tabFile]);
+  }
 
-    // ---- Textarea panel ----
-    const textarea = el("textarea", {
-      className: "bu-textarea",
-      placeholder:
-        'id,description\ntt0111161,"Your description here"\ntt0068646\ntt0468569,"Another description"',
-      spellcheck: false,
+  // ---------------------------------------------------------------------------
+  // GraphQL API calls
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Error raised by GraphQL calls. `transient` marks failures worth retrying
+   * (network errors, 429, 5xx, throttling); `throttled` marks the subset that
+   * means we are sending requests too fast. `maybeApplied` marks failures
+   * after which the server may still have carried out the request (network
+   * errors, 5xx, timeouts) – unlike a 429 or a throttling error, which
+   * reject it. `retryAfterMs` carries the server's Retry-After hint when it
+   * sent one.
+   */
+  class ApiError extends Error {
+    constructor(
+      message,
+      {
+        status = null,
+        transient = false,
+        throttled = false,
+        auth = false,
+        maybeApplied = false,
+        retryAfterMs = null,
+      } = {},
+    ) {
+      super(message);
+      this.name = "ApiError";
+      this.status = status;
+      this.transient = transient || throttled;
+      this.throttled = throttled;
+      this.auth = auth;
+      this.maybeApplied = maybeApplied;
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+
+  /**
+   * POST a GraphQL operation and return the parsed response, throwing
+   * ApiError on network or HTTP errors. Aborting `signal` cancels the
+   * request; that error is never transient, so it isn't retried.
+   */
+  async function postGraphql(query, operationName, variables, signal) {
+    let res;
+    try {
+      res = await fetch(GRAPHQL_ENDPOINT, {
+        method: "POST",
+        credentials: "include",
+        headers: buildHeaders(),
+        body: JSON.stringify({ query, operationName, variables }),
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted)
+        throw new ApiError("Cancelled", { maybeApplied: true });
+      throw new ApiError(`Network error – ${err.message}`, {
+        transient: true,
+        maybeApplied: true,
+      });
+    }
+
+    if (!res.ok) {
+      const retryAfter = parseFloat(res.headers.get("retry-after"));
+      throw new ApiError(`HTTP ${res.status} – ${res.statusText}`, {
+        status: res.status,
+        transient: res.status >= 500,
+        maybeApplied: res.status >= 500,
+        throttled: res.status === 429,
+        auth: res.status === 401 || res.status === 403,
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+      });
+    }
+
+    return res.json();
+  }
+
+  /** An ApiError for GraphQL `errors`, classified by their messages. */
+  function graphqlError(errors) {
+    const message = errors.map((e) => e.message).join("; ");
+    const throttled = THROTTLE_ERROR_PATTERN.test(message);
+    return new ApiError(message, {
+      transient: TRANSIENT_ERROR_PATTERN.test(message),
+      maybeApplied: TRANSIENT_ERROR_PATTERN.test(message) && !throttled,
+      throttled,
+      auth: AUTH_ERROR_PATTERN.test(message),
     });
-    const textareaPanel = el("div", { className: "bu-panel" }, [textarea]);
+  }
 
-    // ---- File panel ----
-    const fileInput = el("input", {
-      type: "file",
-      accept: ".csv,.txt",
-      id: "bu-csv-file",
-      className: "bu-file-input",
+  /** POST a GraphQL operation and return its `data`, throwing ApiError on HTTP or GraphQL errors. */
+  async function graphqlRequest(query, operationName, variables, signal) {
+    const json = await postGraphql(query, operationName, variables, signal);
+    if (json.errors?.length) throw graphqlError(json.errors);
+    return json.data;
+  }
+
+  /**
+   * Send several list mutations as one request, each under its own alias.
+   * `ops` are {kind, variables} with `kind` a key of BATCH_OPERATIONS.
+   * Resolves with one {data} or {error} per op, in order; throws an ApiError
+   * when the request as a whole fails – including errors not tied to one
+   * alias with no alias answered, which is how a server that won't take
+   * batches answers. When some aliases did come back, those errors go to
+   * the ops without data.
+   */
+  async function graphqlBatch(ops, signal) {
+    const declarations = [];
+    const variables = {};
+    const fields = ops.map((op, n) => {
+      const spec = BATCH_OPERATIONS[op.kind];
+      const names = {};
+      Object.entries(spec.types).forEach(([key, type]) => {
+        names[key] = `$${key}${n}`;
+        declarations.push(`${names[key]}: ${type}`);
+        variables[`${key}${n}`] = op.variables[key];
+      });
+      return `  op${n}: ${spec.field}(input: {${spec.input(names)}}) ${spec.selection}`;
     });
-    const fileLabel = el(
-      "label",
-      { htmlFor: "bu-csv-file", className: "bu-file-label" },
-      [
-        el("span", {
-          innerHTML: `<svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>`,
-        }),
-        el("span", {
-          textContent: "Click to choose a CSV file",
-          className: "bu-file-text",
-        }),
-      ],
+    const query = `mutation BatchedListEdits(${declarations.join(", ")}) {\n${fields.join("\n")}\n}`;
+
+    const json = await postGraphql(
+      query,
+      "BatchedListEdits",
+      variables,
+      signal,
     );
-    const filePanel = el("div", { className: "bu-panel bu-panel-hidden" }, [
-      fileInput,
-      fileLabel,
-    ]);
+    const byAlias = new Map();
+    const unplaced = [];
+    (json.errors ?? []).forEach((error) => {
+      const alias = error.path?.[0];
+      if (/^op\d+$/.test(alias ?? "")) {
+        byAlias.set(alias, [...(byAlias.get(alias) ?? []), error]);
+      } else {
+        unplaced.push(error);
+      }
+    });
+    const answered = ops.some((op, n) => json.data?.[`op${n}`] != null);
+    if (unplaced.length > 0 && !answered) throw graphqlError(unplaced);
+    if (!json.data) throw new ApiError("The batched request returned no data.");
+
+    return ops.map((op, n) =>
+      byAlias.has(`op${n}`)
+        ? { error: graphqlError(byAlias.get(`op${n}`)) }
+        : json.data[`op${n}`] == null && unplaced.length > 0
+          ? { error: graphqlError(unplaced) }
+          : { data: json.data[`op${n}`] },
+    );
+  }
+
+  /**
+   * Call `fn` until it succeeds, retrying transient ApiErrors with
+   * exponential backoff plus jitter. Permanent errors are rethrown at once.
+   * For requests that mustn't run twice, `verify` is asked before re-sending
+   * one that may have gone through (ApiError.maybeApplied): when it finds
+   * the result, that is returned instead. If it can't tell, the original
+   * error is thrown rather than risk applying the request twice.
+   *
+   * @param {function} fn  Called with `signal`, to pass on to the request.
+   * @param {object}   opts
+   * @param {function} [opts.onRetry]  Called before each wait with (attempt, delayMs, err).
+   * @param {AbortSignal} [opts.signal]  Stops retrying, and cuts the wait short, once aborted.
+   * @param {function} [opts.verify]  Resolves with the request's result if it was applied, else null.
+   */
+  async function withRetry(fn, { onRetry, signal, verify } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(signal);
+      } catch (err) {
+        if (!err.transient || attempt > RETRY.maxRetries || signal?.aborted) {
+          throw err;
+        }
+
+        const backoff = Math.min(
+          RETRY.maxDelayMs,
+          RETRY.baseDelayMs * 2 ** (attempt - 1),
+        );
+        const delayMs = Math.max(
+          err.retryAfterMs ?? 0,
+          backoff / 2 + Math.random() * (backoff / 2),
+        );
+        onRetry?.(attempt, delayMs, err);
+        await sleep(delayMs, signal);
+        if (signal?.aborted) throw err;
+
+        if (verify && err.maybeApplied) {
+          let applied;
+          try {
+            applied = await verify();
+          } catch {
+            throw err;
+          }
+          if (applied) return applied;
+        }
+      }
+    }
+  }
+
+  async function addItemToList(listId, constId, signal) {
+    const data = await graphqlRequest(
+      MUTATIONS.addItem,
+      "AddConstToList",
+      { listId, constId },
+      signal,
+    );
+    return data.addItemToList.modifiedItem;
+  }
+
+  async function updateDescription(listId, itemId, description, signal) {
+    const data = await graphqlRequest(
+      MUTATIONS.editDescription,
+      "EditListItemDescription",
+      { listId, itemId, itemDescription: description },
+      signal,
+    );
+    return data.editListItemDescription;
+  }
+
+  /**
+   * Create a list for the logged-in user and resolve with its ID.
+   * `type` is "TITLES" or "PEOPLE", `visibility` "PUBLIC" or "PRIVATE".
+   */
+  async function createList({ name, description, type, visibility }) {
+    const data = await graphqlRequest(MUTATIONS.createList, "CreateList", {
+      input: {
+        name,
+        listDescription: description,
+        listType: type,
+        visibility,
+      },
+    });
+    const listId = data.createList?.listId;
+    if (!listId) throw new Error("IMDb did not return the new list's ID.");
+    return listId;
+  }
+
+  async function removeListItem(listId, itemId, signal) {
+    const data = await graphqlRequest(
+      MUTATIONS.removeItem,
+      "RemoveListItem",
+      { listId, itemId },
+      signal,
+    );
+    return data.removeItemFromList;
+  }
+
+  /** Move a list item to a 1-based `position`; later items shift down. */
+  async function moveListItem(listId, itemId, position, signal) {
+    const data = await graphqlRequest(
+      MUTATIONS.reorderItem,
+      "ReorderListItem",
+      { listId, itemId, position },
+      signal,
+    );
+    return data.reorderItemInList;
+  }
+
+  /**
+   * Read every item currently on a list, following the pagination cursor.
+   * Returns an array of {itemId, id, title, description} in list order,
+   * with each description as its raw markup – the same text that was
+   * uploaded – so it can be exported, compared and edited without loss.
+   */
+  async function fetchListItems(listId) {
+    const items = [];
+    let after = null;
+
+    do {
+      const data = await graphqlRequest(QUERIES.listItems, "ListItems", {
+        listId,
+        first: LIST_PAGE_SIZE,
+        after,
+      });
+      const page = data.list?.items;
+      if (!page) throw new Error(`List ${listId} not found.`);
+
+      page.edges.forEach(({ node }) => {
+        const entity = node.listItem;
+        items.push({
+          itemId: node.itemId,
+          id: entity?.id,
+          title: entity?.titleText?.text || entity?.nameText?.text || "",
+          description: node.description?.originalText?.markdown || "",
+          createdDate: node.createdDate ?? null,
+        });
+      });
+
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return items;
+  }
+
+  /**
+   * `constId`'s entry on `listId`, shaped like an AddConstToList
+   * `modifiedItem`, or null when it isn't there. Tells whether an add whose
+   * response was lost went through.
+   */
+  async function findListItem(listId, constId) {
+    const entry = (await fetchListItems(listId)).find((e) => e.id === constId);
+    return entry
+      ? {
+          itemId: entry.itemId,
+          listItem: { id: entry.id, titleText: { text: entry.title } },
+        }
+      : null;
+  }
+
+  /**
+   * Resolves with `{itemId}` when `itemId` is no longer on `listId`, else
+   * null. Tells whether a removal whose response was lost went through.
+   */
+  async function confirmRemoved(listId, itemId) {
+    const entries = await fetchListItems(listId);
+    return entries.some((e) => e.itemId === itemId) ? null : { itemId };
+  }
+
+  /** The logged-in user's lists as [{id, name, type}], type "TITLES" or "PEOPLE". */
+  async function fetchUserLists() {
+    const lists = [];
+    let after = null;
+
+    do {
+      const data = await graphqlRequest(QUERIES.userLists, "UserLists", {
+        first: LIST_PAGE_SIZE,
+        after,
+      });
+      const page = data.userLists;
+      if (!page) throw new Error("Could not read your lists.");
+
+      page.edges.forEach(({ node }) => {
+        lists.push({
+          id: node.id,
+          name: node.name?.originalText || node.id,
+          type: node.listType?.id ?? "",
+        });
+      });
+
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return lists;
+  }
+
+  /**
+   * Check the session and, given a list, who owns it and what it holds.
+   * Resolves with {loggedIn, userId, owner, type, name, error}: `userId` is
+   * the logged-in user's `ur…` ID, `owner` is true/false
+   * when it could be told (null otherwise), `type` is the list's "TITLES" or
+   * "PEOPLE", and `error` is set when the check itself failed – nothing is
+   * known then.
+   */
+  async function checkAccess(listId) {
+    const unknown = {
+      loggedIn: null,
+      userId: null,
+      owner: null,
+      type: null,
+      name: null,
+    };
+    try {
+      const data = listId
+        ? await graphqlRequest(QUERIES.listAccess, "ListAccess", { listId })
+        : await graphqlRequest(QUERIES.session, "Session", {});
+      const userId = data.me?.userId ?? null;
+      const authorId = data.list?.author?.userId ?? null;
+      return {
+        loggedIn: Boolean(userId),
+        userId,
+        owner: userId && authorId ? userId === authorId : null,
+        type: data.list?.listType?.id ?? null,
+        name: data.list?.name?.originalText ?? null,
+        error: null,
+      };
+    } catch (err) {
+      if (err.auth) return { ...unknown, loggedIn: false, error: null };
+      return { ...unknown, error: err.message };
+    }
+  }
+
+  /**
+   * Replace every `ls…` entry in `items` with the items of that list (with
+   * their descriptions). References to `currentListId` itself are dropped.
+   *
+   * @param {Array<object>} items
+   * @param {string} currentListId
+   * @param {function} [onList]  Called with (listId) before each list is read.
+   */
+  async function expandListReferences(items, currentListId, onList) {
+    const expanded = [];
+
+    for (const item of items) {
+      if (!item.id.startsWith("ls")) {
+        expanded.push(item);
+        continue;
+      }
+      if (item.id === currentListId) continue;
+
+      onList?.(item.id);
+      const listItems = await fetchListItems(item.id);
+      listItems.forEach((entry) =>
+        expanded.push({
+          id: entry.id,
+          description: entry.description,
+          line: item.line,
+          ...(item.source ? { source: item.source } : {}),
+        }),
+      );
+    }
+
+    return expanded;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Title lookup
+  // ---------------------------------------------------------------------------
+
+  /** Map the many ways a type can be written to "movie", "series" or "person". */
+  function normalizeType(type) {
+    const t = (type || "").trim().toLowerCase();
+    if (!t) return null;
+    if (/^(movie|film|feature|tv ?movie|short|video)$/.test(t)) return "movie";
+    if (/series|^tv$|^show$/.test(t)) return "series";
+    if (/^(person|name|people|actor|actress|director)$/.test(t)) {
+      return "person";
+    }
+    return t;
+  }
+
+  /** Suggestion-API kinds (`qid`) grouped into our types. */
+  function candidateType(entry) {
+    if (entry.id?.startsWith("nm")) return "person";
+    if (/series/i.test(entry.qid || "")) return "series";
+    if (/^(movie|tvMovie|short|video)$/.test(entry.qid || "")) return "movie";
+    return entry.qid || "other";
+  }
+
+  /**
+   * Query IMDb's search suggestions for `query`.
+   * Returns candidates as {id, title, year, type, detail}.
+   */
+  async function searchSuggestions(query) {
+    const term = encodeURIComponent(query.trim().toLowerCase());
+    let res;
+    try {
+      res = await fetch(`${SUGGESTION_ENDPOINT}${term}.json`);
+    } catch (err) {
+      throw new ApiError(`Network error – ${err.message}`, { transient: true });
+    }
+    if (!res.ok) {
+      throw new ApiError(`HTTP ${res.status} – ${res.statusText}`, {
+        status: res.status,
+        transient: res.status >= 500,
+        throttled: res.status === 429,
+      });
+    }
+
+    const json = await res.json();
+    return (json.d || [])
+      .filter((entry) => CONST_PATTERN.test(entry.id))
+      .map((entry) => ({
+        id: entry.id,
+        title: entry.l,
+        year: entry.y ?? null,
+        type: candidateType(entry),
+        detail: entry.s || "",
+      }));
+  }
+
+  /** Lower-case, strip accents, punctuation and a leading article. */
+  function normalizeTitle(title) {
+    return title
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/&/g, "and")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .replace(/^(the|a|an) /, "");
+  }
+
+  /**
+   * Score how well `candidate` fits `lookup`. The title dominates; a matching
+   * year or type adds to it and a conflicting one takes away.
+   */
+  function scoreCandidate(lookup, candidate) {
+    const wanted = normalizeTitle(lookup.title);
+    const found = normalizeTitle(candidate.title || "");
+
+    let score;
+    if (wanted === found) {
+      score = 1;
+    } else if (found.includes(wanted) || wanted.includes(found)) {
+      score = 0.6;
+    } else {
+      const a = new Set(wanted.split(" "));
+      const b = new Set(found.split(" "));
+      const shared = [...a].filter((w) => b.has(w)).length;
+      score = (0.5 * shared) / new Set([...a, ...b]).size;
+    }
+
+    if (lookup.year) {
+      const diff = Math.abs((candidate.year ?? 0) - lookup.year);
+      score += diff === 0 ? 0.5 : diff === 1 ? 0.2 : -0.5;
+    }
+    if (lookup.type) {
+      score += candidate.type === lookup.type ? 0.3 : -1;
+    }
+
+    return score;
+  }
+
+  /**
+   * Search IMDb for every item that has a `lookup` instead of a const.
+   * Each such item gets `candidates` (best first) and a `match` when one
+   * candidate clearly wins: an exact title, no conflicting year or type, and
+   * well ahead of the runner-up. Everything else is left for review.
+   *
+   * @param {Array<object>} items
+   * @param {function} [onProgress]  Called after each lookup with (done, total).
+   */
+  async function resolveLookups(items, onProgress) {
+    const pending = items.filter((item) => item.lookup);
+    let done = 0;
+
+    for (const item of pending) {
+      try {
+        const found = await withRetry(() =>
+          searchSuggestions(item.lookup.title),
+        );
+        const scored = found
+          .map((c) => ({ ...c, score: scoreCandidate(item.lookup, c) }))
+          .filter((c) => c.score > 0)
+          .sort((a, b) => b.score - a.score);
+
+        const [best, next] = scored;
+        const clear =
+          best &&
+          normalizeTitle(best.title) === normalizeTitle(item.lookup.title) &&
+          best.score >= 1 &&
+          (!next || best.score - next.score >= 0.5);
+
+        item.candidates = scored;
+        item.match = clear ? best : null;
+      } catch (err) {
+        item.candidates = [];
+        item.match = null;
+        item.lookupError = err.message;
+      }
+      onProgress?.(++done, pending.length);
+    }
+
+    return items;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Description templates
+  // ---------------------------------------------------------------------------
+
+  /** "2h 22m" from a runtime in seconds. */
+  function formatRuntime(seconds) {
+    if (!seconds) return "";
+    const minutes = Math.round(seconds / 60);
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return h ? `${h}h${m ? ` ${m}m` : ""}` : `${m}m`;
+  }
+
+  /**
+   * Fetch template metadata (see METADATA_FIELDS) for the given consts.
+   * Names only get a `title`. Returns a Map of const → {field: text}.
+   */
+  async function fetchMetadata(ids) {
+    const metadata = new Map();
+    const unique = [...new Set(ids)];
+
+    for (let i = 0; i < unique.length; i += METADATA_BATCH_SIZE) {
+      const batch = unique.slice(i, i + METADATA_BATCH_SIZE);
+      const data = await withRetry(() =>
+        graphqlRequest(QUERIES.titleMetadata, "TitleMetadata", {
+          titleIds: batch.filter((id) => id.startsWith("tt")),
+          nameIds: batch.filter((id) => id.startsWith("nm")),
+        }),
+      );
+
+      (data.titles ?? []).filter(Boolean).forEach((t) => {
+        const directors = (t.principalCredits ?? [])
+          .filter((group) => group.category?.id === "director")
+          .flatMap((group) => group.credits ?? [])
+          .map((credit) => credit.name?.nameText?.text)
+          .filter(Boolean);
+        metadata.set(t.id, {
+          title: t.titleText?.text ?? "",
+          year: String(t.releaseYear?.year ?? ""),
+          runtime: formatRuntime(t.runtime?.seconds),
+          director: directors.join(", "),
+          rating: t.ratingsSummary?.aggregateRating?.toFixed(1) ?? "",
+          genres: (t.titleGenres?.genres ?? [])
+            .map((g) => g.genre?.text)
+            .filter(Boolean)
+            .join(", "),
+        });
+      });
+      (data.names ?? []).filter(Boolean).forEach((n) => {
+        metadata.set(n.id, { title: n.nameText?.text ?? "" });
+      });
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Replace each item's description with `template` filled in for it. The
+   * placeholders are, from lowest to highest precedence: IMDb metadata
+   * (fetched only when the template uses it and the input doesn't supply
+   * it), `{id}`, `{description}`, `{row}` (1-based input order), `{rank}`
+   * (the position column, else the row) and the input's own columns. Without
+   * a template the descriptions are kept. Either way the column `vars` are
+   * dropped from the returned items.
+   */
+  async function applyDescriptionTemplate(items, template) {
+    if (!template) return items.map(({ vars, ...item }) => item);
+
+    const used = new Set(
+      [...template.matchAll(/\{([^{}]+)\}/g)].map(([, key]) =>
+        key.trim().toLowerCase(),
+      ),
+    );
+    const needed = METADATA_FIELDS.filter((field) => used.has(field));
+    const metadata = items.some((item) =>
+      needed.some((field) => item.vars?.[field] === undefined),
+    )
+      ? await fetchMetadata(items.map((item) => item.id))
+      : new Map();
+
+    return items.map(({ vars, ...item }, i) => {
+      const fetched = metadata.get(item.id) ?? {};
+      const values = {
+        ...Object.fromEntries(
+          METADATA_FIELDS.map((f) => [f, fetched[f] ?? ""]),
+        ),
+        id: item.id,
+        description: item.description,
+        row: String(i + 1),
+        rank: String(item.position ?? i + 1),
+        ...vars,
+      };
+      return { ...item, description: applyTemplate(template, values) };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Duplicate detection
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tag each parsed item with a `state` relative to the list's current items:
+   * "new", "existing" (already on the list) or "duplicate" (repeats an earlier
+   * row of the same input). With several target lists, items and `existing`
+   * entries carry a `listId` and are compared per list.
+   */
+  function diffAgainstList(items, existing) {
+    const onList = new Set(existing.map(itemKey));
+    const seen = new Set();
+
+    return items.map((item) => {
+      const key = itemKey(item);
+      let state = "new";
+      if (seen.has(key)) state = "duplicate";
+      else if (onList.has(key)) state = "existing";
+      seen.add(key);
+      return { ...item, state };
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Multiple lists
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Give every item a `listId`. Rows with a `list` value (an `ls…` ID or URL,
+   * or the name of one of `userLists`, case-insensitive) go to that list;
+   * the rest go to each of `targets`. Returns {items, unknown}, `unknown`
+   * holding the `list` values that matched no list.
+   */
+  function assignLists(items, targets, userLists) {
+    const byName = new Map(
+      userLists.map((l) => [l.name.trim().toLowerCase(), l.id]),
+    );
+    const unknown = new Set();
+    const assigned = items.flatMap(({ list, ...item }) => {
+      if (!list) return targets.map((listId) => ({ ...item, listId }));
+
+      const listId =
+        list.match(/ls\d+/)?.[0] ?? byName.get(list.trim().toLowerCase());
+      if (!listId) {
+        unknown.add(list);
+        return [];
+      }
+      return [{ ...item, listId }];
+    });
+
+    return { items: assigned, unknown: [...unknown] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sync
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether two descriptions are the same markup. `existing` descriptions
+   * from fetchListItems are raw markup too, so only line endings and
+   * surrounding whitespace are ignored.
+   */
+  function sameDescription(a, b) {
+    const normalize = (text) => (text || "").replace(/\r\n?/g, "\n").trim();
+    return normalize(a) === normalize(b);
+  }
+
+  /**
+   * Compare the input with the list for a sync. Returns
+   * {add, update, remove, unchanged}: `add`, `update` and `remove` hold
+   * ready-to-run operations (items with an `action` of "add", "describe" or
+   * "remove"), `unchanged` the rows that need nothing. An input ID that
+   * appears twice counts once, with its first description. Descriptions are
+   * compared as markup (see sameDescription).
+   */
+  function planSync(items, existing) {
+    const onList = new Map(existing.map((e) => [e.id, e]));
+    const wanted = new Set();
+    const plan = { add: [], update: [], remove: [], unchanged: [] };
+
+    items.forEach((item) => {
+      if (wanted.has(item.id)) return;
+      wanted.add(item.id);
+
+      const current = onList.get(item.id);
+      const description = item.description || "";
+      if (!current) {
+        plan.add.push({ ...item, action: "add" });
+      } else if (!sameDescription(current.description, description)) {
+        plan.update.push({
+          ...item,
+          action: "describe",
+          itemId: current.itemId,
+          title: current.title,
+          previous: current.description,
+        });
+      } else {
+        plan.unchanged.push({ ...item, title: current.title });
+      }
+    });
+
+    existing.forEach((e) => {
+      if (wanted.has(e.id)) return;
+      plan.remove.push({
+        id: e.id,
+        description: e.description,
+        action: "remove",
+        itemId: e.itemId,
+        title: e.title,
+      });
+    });
+
+    return plan;
+  }
+
+  /**
+   * How a new description is combined with the one already on the list:
+   * replace it, only set it where the list item has none, or add it on a new
+   * line after the current text.
+   */
+  const DESCRIPTION_STRATEGIES = {
+    overwrite: (current, next) => next,
+    fill: (current, next) => (current.trim() ? current : next),
+    append: (current, next) =>
+      !current.trim() || current.includes(next.trim())
+        ? current.trim() || next
+        : `${current}\n${next}`,
+  };
+
+  /**
+   * Plan a descriptions-only run: each input row whose const is on the list
+   * becomes a "describe" operation for its existing itemId, combining
+   * descriptions per `strategy` (see DESCRIPTION_STRATEGIES). The merge
+   * works on the existing description's raw markup, so appending keeps its
+   * formatting. Returns the same shape as planSync, plus `missing` for rows
+   * whose const is not on the list; rows without a description are left alone.
+   */
+  function planDescriptions(items, existing, strategy = "overwrite") {
+    const combine = DESCRIPTION_STRATEGIES[strategy];
+    const onList = new Map(existing.map((e) => [e.id, e]));
+    const seen = new Set();
+    const plan = {
+      add: [],
+      update: [],
+      remove: [],
+      unchanged: [],
+      missing: [],
+    };
+
+    items.forEach((item) => {
+      if (seen.has(item.id)) return;
+      seen.add(item.id);
+
+      const current = onList.get(item.id);
+      if (!current) {
+        plan.missing.push(item);
+        return;
+      }
+
+      const markup = current.description.replace(/\r\n?/g, "\n");
+      const description = item.description
+        ? combine(markup, item.description)
+        : markup;
+      if (sameDescription(description, current.description)) {
+        plan.unchanged.push({ ...item, title: current.title });
+      } else {
+        plan.update.push({
+          ...item,
+          description,
+          action: "describe",
+          itemId: current.itemId,
+          title: current.title,
+          previous: current.description,
+        });
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * Plan a removal: either the list items whose const is in `items`, or –
+   * when `items` is null – those matching `filter`: `before` (items added
+   * before that date) and `type` ("title" or "name"). A filter with neither
+   * plans nothing rather than the whole list. Returns the same shape as
+   * planSync, plus `missing` for input rows that are not on the list.
+   */
+  function planRemoval(existing, items, { before = null, type = "any" } = {}) {
+    const plan = {
+      add: [],
+      update: [],
+      remove: [],
+      unchanged: [],
+      missing: [],
+    };
+    const toRemove = (e) => ({
+      id: e.id,
+      description: e.description,
+      action: "remove",
+      itemId: e.itemId,
+      title: e.title,
+      createdDate: e.createdDate,
+    });
+
+    if (items) {
+      const onList = new Map(existing.map((e) => [e.id, e]));
+      const seen = new Set();
+      items.forEach((item) => {
+        if (seen.has(item.id)) return;
+        seen.add(item.id);
+        const current = onList.get(item.id);
+        if (current) plan.remove.push(toRemove(current));
+        else plan.missing.push(item);
+      });
+      return plan;
+    }
+
+    const cutoff = before ? new Date(before) : null;
+    const prefix = { title: "tt", name: "nm" }[type];
+    if (!cutoff && !prefix) return plan;
+    existing.forEach((e) => {
+      const matches =
+        (!cutoff || (e.createdDate && new Date(e.createdDate) < cutoff)) &&
+        (!prefix || e.id.startsWith(prefix));
+      if (matches) plan.remove.push(toRemove(e));
+    });
+    return plan;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reordering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Work out the moves that put a list into input order. `order` holds one
+   * {id, position?} per input row; rows are ranked by their explicit
+   * `position`, else by where they appear. The ranked items take the top of
+   * the list and everything else keeps its relative order below them.
+   * Returns [{itemId, id, position}] to apply in sequence (1-based).
+   */
+  function planReorder(listItems, order) {
+    const onList = new Map(listItems.map((item) => [item.id, item]));
+    const seen = new Set();
+
+    const wanted = order
+      .map((entry, i) => ({ ...entry, rank: entry.position ?? i + 1, i }))
+      .filter((entry) => {
+        if (!onList.has(entry.id) || seen.has(entry.id)) return false;
+        seen.add(entry.id);
+        return true;
+      })
+      .sort((a, b) => a.rank - b.rank || a.i - b.i);
+
+    const current = listItems.map((item) => item.id);
+    const moves = [];
+
+    wanted.forEach(({ id }, target) => {
+      const from = current.indexOf(id);
+      if (from === target) return;
+      current.splice(from, 1);
+      current.splice(target, 0, id);
+      moves.push({ itemId: onList.get(id).itemId, id, position: target + 1 });
+    });
+
+    return moves;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Job persistence
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A job records everything needed to pick an upload back up after a reload:
+   * the target list, the items being uploaded and one status per item
+   * (null until that item has been processed). `mode` names the kind of
+   * run ("add", "describe", "remove" or "sync"); `order` – every input row
+   * as {id, position?} – is set when the list should be reordered
+   * afterwards. Items with their own `listId` go to that list instead of
+   * `listId`; `lists` then maps each list ID to its name.
+   */
+  function createJob(
+    listId,
+    items,
+    { mode = "add", order = null, lists = null } = {},
+  ) {
+    return {
+      listId,
+      createdAt: new Date().toISOString(),
+      mode,
+      items,
+      statuses: items.map(() => null),
+      order,
+      lists,
+    };
+  }
+
+  function loadJob(listId) {
+    try {
+      const raw = localStorage.getItem(JOB_STORAGE_PREFIX + listId);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.warn("[IMDb Bulk Uploader] Could not read saved job.", err);
+      return null;
+    }
+  }
+
+  function saveJob(job) {
+    try {
+      localStorage.setItem(
+        JOB_STORAGE_PREFIX + job.listId,
+        JSON.stringify(job),
+      );
+    } catch (err) {
+      console.warn("[IMDb Bulk Uploader] Could not save job.", err);
+    }
+  }
+
+  function clearJob(listId) {
+    try {
+      localStorage.removeItem(JOB_STORAGE_PREFIX + listId);
+    } catch (err) {
+      console.warn("[IMDb Bulk Uploader] Could not clear saved job.", err);
+    }
+  }
+
+  /**
+   * True while an item's status leaves work for a resume: none yet, a
+   * cancelled request, or an add whose description is still to be set.
+   */
+  function unfinished(status) {
+    return !status || status.cancelled || Boolean(status.descriptionPending);
+  }
+
+  /** Index of the first unfinished item, or -1 when all are processed. */
+  function firstUnfinished(job) {
+    return job.statuses.findIndex(unfinished);
+  }
+
+  /** True while a job has items left to process or a reorder still to apply. */
+  function jobPending(job) {
+    return firstUnfinished(job) !== -1 || Boolean(job.order && !job.reordered);
+  }
+
+  /**
+   * The items to run when `job` is picked up again. A cancel can't call back
+   * a request IMDb already received, so the lists are checked for adds and
+   * removals cancelled in flight; those that went through are marked done.
+   * An add already made carries its `itemId`, so only its description is set.
+   */
+  async function resumableItems(job) {
+    const uncertain = job.statuses.filter(
+      (s) =>
+        s?.cancelled &&
+        ((s.action === "add" && !s.itemId) || s.action === "remove"),
+    );
+    const lists = new Map();
+    for (const { listId } of uncertain) {
+      if (!lists.has(listId)) lists.set(listId, await fetchListItems(listId));
+    }
+
+    uncertain.forEach((status) => {
+      const current = lists.get(status.listId);
+      const item = job.items[status.index];
+      if (status.action === "remove") {
+        if (current.some((e) => e.itemId === item.itemId)) return;
+        status.ok = true;
+      } else {
+        const found = current.find((e) => e.id === item.id);
+        if (!found) return;
+        status.itemId = found.itemId;
+        status.title = found.title || item.id;
+        if (item.description) status.descriptionPending = true;
+        else status.ok = true;
+      }
+      status.cancelled = false;
+      status.error = null;
+    });
+
+    return job.items.map((item, i) => {
+      const status = job.statuses[i];
+      return status?.descriptionPending
+        ? { ...item, itemId: status.itemId, title: status.title }
+        : item;
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bulk upload orchestrator
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tracks the pause between items. It starts at the user's delay, backs off
+   * whenever IMDb throttles a request and eases back towards the starting
+   * value while requests succeed.
+   */
+  function createPacer(baseDelayMs) {
+    let delayMs = baseDelayMs;
+
+    return {
+      get delayMs() {
+        return delayMs;
+      },
+      /** Returns true when the delay actually grew. */
+      throttled() {
+        const next = Math.min(
+          THROTTLE.maxDelayMs,
+          Math.max(THROTTLE.minDelayMs, delayMs * 2),
+        );
+        const grew = next > delayMs;
+        delayMs = next;
+        return grew;
+      },
+      succeeded() {
+        delayMs = Math.max(baseDelayMs, Math.round(delayMs * 0.9));
+      },
+    };
+  }
+
+  /**
+   * A pause switch for a running job. Workers `await gate.wait(signal)`
+   * before each request: it resolves at once while the gate is open, and
+   * otherwise once it is reopened or `signal` aborts.
+   */
+  function createGate() {
+    let closed = null; // {promise, open} while paused
+
+    return {
+      get paused() {
+        return closed !== null;
+      },
+      pause() {
+        if (closed) return;
+        let open;
+        const promise = new Promise((resolve) => (open = resolve));
+        closed = { promise, open };
+      },
+      resume() {
+        closed?.open();
+        closed = null;
+      },
+      wait(signal) {
+        if (!closed || signal?.aborted) return Promise.resolve();
+        return new Promise((resolve) => {
+          signal?.addEventListener("abort", resolve, { once: true });
+          closed.promise.then(() => {
+            signal?.removeEventListener("abort", resolve);
+            resolve();
+          });
+        });
+      },
+    };
+  }
+
+  /**
+   * Measures a run's speed for the progress line. Until RATE_MIN_SAMPLES
+   * items have finished, the rate is `expectedPerMinute` (from the delay
+   * setting); after that it's what was actually done. Paused time is left out.
+   */
+  function createRateMeter(expectedPerMinute) {
+    const started = Date.now();
+    let pausedAt = null;
+    let pausedMs = 0;
+    let done = 0;
+
+    return {
+      tick() {
+        done++;
+      },
+      pause() {
+        pausedAt ??= Date.now();
+      },
+      resume() {
+        if (pausedAt === null) return;
+        pausedMs += Date.now() - pausedAt;
+        pausedAt = null;
+      },
+      perMinute() {
+        const elapsed = (pausedAt ?? Date.now()) - started - pausedMs;
+        return done >= RATE_MIN_SAMPLES && elapsed > 0
+          ? (done / elapsed) * 60000
+          : expectedPerMinute;
+      },
+    };
+  }
+
+  /** Items per minute a run should manage with the given settings. */
+  function expectedRate({ delayMs, concurrency = 1, batch = false }) {
+    const perRequest = batch ? BATCH_SIZE : 1;
+    return (
+      (Math.max(1, concurrency) * perRequest * 60000) /
+      (delayMs + REQUEST_ESTIMATE_MS)
+    );
+  }
+
+  /** "12/min · about 3 min left" for the progress line. */
+  function formatEta(remaining, perMinute) {
+    const rate = `${perMinute >= 10 ? Math.round(perMinute) : perMinute.toFixed(1)}/min`;
+    if (remaining <= 0 || !(perMinute > 0)) return rate;
+
+    const minutes = Math.ceil(remaining / perMinute);
+    const left =
+      remaining / perMinute < 1
+        ? "under a minute"
+        : minutes < 60
+          ? `about ${minutes} min`
+          : `about ${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    return `${rate} · ${left} left`;
+  }
+
+  /**
+   * Carry out one item's `action` on the list, filling in `status`:
+   * - "add" (default): add the const, then set its description if given;
+   *   with `itemId` the add was already made and only the description is set
+   * - "describe": replace the description of the existing `itemId`
+   * - "remove": remove the existing `itemId` from the list
+   * `call` wraps each API request (retries) and hands it the abort signal;
+   * its second argument checks whether a request that may have gone through
+   * did (see withRetry), so an add or removal is never sent twice.
+   */
+  async function performItem(listId, item, status, call) {
+    const action = item.action ?? "add";
+
+    if (action === "describe" || action === "remove") {
+      status.title = item.title || item.id;
+      status.itemId = item.itemId;
+      if (action === "describe") {
+        await call((signal) =>
+          updateDescription(listId, item.itemId, item.description, signal),
+        );
+        status.descriptionSet = true;
+      } else {
+        await call(
+          (signal) => removeListItem(listId, item.itemId, signal),
+          () => confirmRemoved(listId, item.itemId),
+        );
+      }
+      return;
+    }
+
+    // Step 1 – add the item, unless an earlier run already did
+    const added = item.itemId
+      ? { itemId: item.itemId, listItem: { titleText: { text: item.title } } }
+      : await call(
+          (signal) => addItemToList(listId, item.id, signal),
+          () => findListItem(listId, item.id),
+        );
+    const titleNode = added?.listItem;
+    status.title =
+      titleNode?.titleText?.text || titleNode?.nameText?.text || item.id;
+    status.itemId = added?.itemId ?? null;
+
+    // Step 2 – update description (if provided)
+    if (item.description) {
+      const itemId = added?.itemId;
+      if (itemId) {
+        await call((signal) =>
+          updateDescription(listId, itemId, item.description, signal),
+        );
+        status.descriptionSet = true;
+      }
+    }
+  }
+
+  /** The batched operation carrying out `item`'s own action (see performItem). */
+  function batchOperation(item, listId) {
+    const action = item.action ?? "add";
+    // An add made by an earlier run only needs its description
+    const kind = action === "add" && item.itemId ? "describe" : action;
+    const variables =
+      kind === "add"
+        ? { listId, constId: item.id }
+        : kind === "describe"
+          ? { listId, itemId: item.itemId, itemDescription: item.description }
+          : { listId, itemId: item.itemId };
+    return { kind, variables };
+  }
+
+  /**
+   * Carry out several items with batched requests (graphqlBatch): first
+   * every item's own action, then the descriptions of the items just added.
+   * `entries` are {item, status}; statuses are filled in as in performItem.
+   * Ops that fail with a transient error are redone one at a time with
+   * `single(entry)`, as are the descriptions when their batch is refused.
+   * An op that may have gone through anyway (ApiError.maybeApplied) is
+   * looked up on its list first and only redone if it isn't there, so no
+   * add or removal is sent twice. Throws when the first request fails as a
+   * whole without having run, leaving nothing done.
+   */
+  async function performBatch(entries, call, single) {
+    const ops = entries.map(({ item, status }) =>
+      batchOperation(item, status.listId),
+    );
+    const results = await call(async (signal) => {
+      try {
+        return await graphqlBatch(ops, signal);
+      } catch (err) {
+        // Sending the whole batch again could repeat ops that went through
+        if (err.maybeApplied && !signal?.aborted) {
+          return ops.map(() => ({ error: err }));
+        }
+        throw err;
+      }
+    });
+
+    const redo = [];
+    const unknown = [];
+    const describe = [];
+    const applied = (entry, added) => {
+      const { item, status } = entry;
+      if (status.action === "add" && !item.itemId) {
+        const titleNode = added?.listItem;
+        status.title =
+          titleNode?.titleText?.text || titleNode?.nameText?.text || item.id;
+        status.itemId = added?.itemId ?? null;
+        if (item.description && status.itemId) {
+          describe.push(entry);
+          return;
+        }
+      } else {
+        status.title = item.title || item.id;
+        status.itemId = item.itemId;
+        status.descriptionSet = status.action !== "remove";
+      }
+      status.ok = true;
+    };
+
+    entries.forEach((entry, n) => {
+      const { status } = entry;
+      const { data, error } = results[n];
+      if (!error) applied(entry, data?.modifiedItem);
+      else if (error.maybeApplied) unknown.push({ entry, error });
+      else if (error.transient) redo.push(entry);
+      else {
+        status.error = error.message;
+        status.authError = error.auth;
+      }
+    });
+
+    if (unknown.length > 0) {
+      try {
+        const lists = new Map();
+        for (const { entry } of unknown) {
+          const { listId } = entry.status;
+          if (!lists.has(listId))
+            lists.set(listId, await fetchListItems(listId));
+        }
+        unknown.forEach(({ entry }) => {
+          const { item, status } = entry;
+          const current = lists.get(status.listId);
+          const found =
+            status.action === "add" &&
+            !item.itemId &&
+            current.find((e) => e.id === item.id);
+          if (found) {
+            applied(entry, {
+              itemId: found.itemId,
+              listItem: { titleText: { text: found.title } },
+            });
+          } else if (
+            status.action === "remove" &&
+            !current.some((e) => e.itemId === item.itemId)
+          ) {
+            applied(entry);
+          } else {
+            // Not applied – or a description, which does no harm set twice
+            redo.push(entry);
+          }
+        });
+      } catch {
+        unknown.forEach(({ entry, error }) => {
+          entry.status.error = `${error.message} (could not check the list to see whether it went through)`;
+        });
+      }
+    }
+
+    // The added items exist now, so a refused batch must not redo the adds
+    const describeOnly = ({ item, status }) => ({
+      item: {
+        ...item,
+        action: "describe",
+        itemId: status.itemId,
+        title: status.title,
+      },
+      status,
+    });
+    if (describe.length > 0) {
+      let described = null;
+      try {
+        described = await call((signal) =>
+          graphqlBatch(
+            describe.map(({ item, status }) => ({
+              kind: "describe",
+              variables: {
+                listId: status.listId,
+                itemId: status.itemId,
+                itemDescription: item.description,
+              },
+            })),
+            signal,
+          ),
+        );
+      } catch {
+        // Descriptions do no harm set twice, so these are simply redone
+        redo.push(...describe.map(describeOnly));
+      }
+      described?.forEach(({ error }, n) => {
+        const { status } = describe[n];
+        if (!error) {
+          status.descriptionSet = true;
+          status.ok = true;
+        } else if (error.transient) {
+          redo.push(describeOnly(describe[n]));
+        } else {
+          status.error = error.message;
+          status.authError = error.auth;
+        }
+      });
+    }
+
+    for (const entry of redo) await single(entry);
+  }
+
+  /**
+   * Process a list of items with a pool of `concurrency` workers. Each item
+   * is added unless its `action` says otherwise (see performItem). With
+   * `batch`, each worker sends up to BATCH_SIZE items per request and falls
+   * back to one at a time for the rest of the run if the server refuses.
+   * `onProgress` still fires once per item, though not in input order when
+   * several workers run; the returned statuses are in input order. Aborting
+   * `signal` stops requests in flight at once; the items they carried
+   * come back with `cancelled` set instead of failing.
+   *
+   * @param {Array<{id:string, description:string, action?:string}>} items
+   * @param {object}  opts
+   * @param {string}  opts.listId  List for items without their own `listId`.
+   * @param {boolean} opts.useDelay
+   * @param {number}  opts.delayMs  Pause each worker takes between requests.
+   * @param {boolean} [opts.retry=true]  Retry transient failures with backoff.
+   * @param {number}  [opts.concurrency=1]  Workers running at once.
+   * @param {boolean} [opts.batch=false]  Pack several items into one request.
+   * @param {Array<number>} [opts.pending]  Indices of the items to process; defaults to all.
+   * @param {function} opts.onProgress  Called after each item with (index, total, status).
+   * @param {function} [opts.onRetry]   Called before a retry with (item, attempt, delayMs, error).
+   * @param {function} [opts.onThrottle]  Called with the new delay when throttling slows the run down.
+   * @param {function} [opts.onBatchRefused]  Called with the error when batching is given up.
+   * @param {function} [opts.onAuthPause]  Called when AUTH_PAUSE_AFTER items in a row
+   *   failed for want of a valid session; no further items are started.
+   * @param {AbortSignal} [opts.signal]  Aborted when the user cancels.
+   * @param {object} [opts.gate]  A createGate() holding new requests while paused.
+   */
+  async function processItems(
+    items,
+    {
+      listId,
+      useDelay,
+      delayMs,
+      retry = true,
+      concurrency = 1,
+      batch = false,
+      pending = items.map((_, i) => i),
+      onProgress,
+      onRetry,
+      onThrottle,
+      onBatchRefused,
+      onAuthPause,
+      signal,
+      gate,
+    },
+  ) {
+    if (!listId) throw new Error("Could not determine list ID from URL.");
+
+    const results = [];
+    const pacer = createPacer(useDelay ? delayMs : 0);
+    let batching = batch;
+    let authFailures = 0;
+    let paused = false;
+    let cursor = 0;
+
+    const throttled = (err) => {
+      if (err.throttled && pacer.throttled()) onThrottle?.(pacer.delayMs);
+    };
+    const caller = (subject) => (fn, verify) =>
+      retry
+        ? withRetry(fn, {
+            signal,
+            verify,
+            onRetry: (attempt, wait, err) => {
+              throttled(err);
+              onRetry?.(subject, attempt, wait, err);
+            },
+          })
+        : fn(signal);
+    const cancel = (status) => {
+      status.cancelled = true;
+      status.error = "Cancelled";
+    };
+
+    const single = async ({ item, status }) => {
+      try {
+        await performItem(status.listId, item, status, caller(item));
+        status.ok = true;
+        status.error = null;
+        pacer.succeeded();
+      } catch (err) {
+        if (signal?.aborted) {
+          cancel(status);
+          return;
+        }
+        status.error = err.message;
+        status.authError = Boolean(err.auth);
+        throttled(err);
+      }
+    };
+
+    const worker = async () => {
+      while (cursor < pending.length && !paused && !signal?.aborted) {
+        await gate?.wait(signal);
+        if (cursor >= pending.length || paused || signal?.aborted) break;
+
+        const size = batching ? BATCH_SIZE : 1;
+        const indices = pending.slice(cursor, cursor + size);
+        cursor += indices.length;
+
+        const startedAt = new Date().toISOString();
+        const entries = indices.map((i) => ({
+          item: items[i],
+          status: {
+            id: items[i].id,
+            listId: items[i].listId ?? listId,
+            action: items[i].action ?? "add",
+            index: i,
+            ok: false,
+            error: null,
+            title: "",
+            itemId: null,
+            descriptionSet: false,
+            authError: false,
+            cancelled: false,
+            startedAt,
+            finishedAt: null,
+          },
+        }));
+
+        if (entries.length > 1) {
+          try {
+            await performBatch(
+              entries,
+              caller({ id: `batch of ${entries.length} items` }),
+              single,
+            );
+            pacer.succeeded();
+          } catch (err) {
+            if (signal?.aborted) {
+              entries.forEach(({ status }) => status.ok || cancel(status));
+            } else {
+              throttled(err);
+              if (!err.transient && !err.auth && batching) {
+                batching = false;
+                onBatchRefused?.(err);
+              }
+              for (const entry of entries) await single(entry);
+            }
+          }
+        } else {
+          await single(entries[0]);
+        }
+
+        entries.forEach(({ status }) => {
+          status.finishedAt = new Date().toISOString();
+          if (status.ok) authFailures = 0;
+          else if (status.authError) authFailures++;
+          results.push(status);
+          onProgress(status.index + 1, items.length, status);
+        });
+        if (authFailures >= AUTH_PAUSE_AFTER && !paused) {
+          paused = true;
+          onAuthPause?.();
+        }
+
+        // Pause before this worker's next request
+        if (pacer.delayMs > 0 && cursor < pending.length && !signal?.aborted) {
+          await sleep(pacer.delayMs, signal);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return results.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Apply moves from planReorder() one at a time.
+   *
+   * @param {string} listId
+   * @param {Array<{itemId:string, id:string, position:number}>} moves
+   * @param {object}  opts
+   * @param {boolean} [opts.retry=true]
+   * @param {function} opts.onProgress  Called after each move with (done, total, status).
+   * @param {function} [opts.onRetry]   Called before a retry with (move, attempt, delayMs, error).
+   * @param {AbortSignal} [opts.signal]  Stops the moves, including one in flight.
+   * @param {object} [opts.gate]  A createGate() holding the next move while paused.
+   */
+  async function applyMoves(
+    listId,
+    moves,
+    { retry = true, onProgress, onRetry, signal, gate },
+  ) {
+    const results = [];
+
+    for (let i = 0; i < moves.length; i++) {
+      await gate?.wait(signal);
+      if (signal?.aborted) break;
+
+      const move = moves[i];
+      const status = { ...move, ok: false, error: null };
+      const call = (signal) =>
+        moveListItem(listId, move.itemId, move.position, signal);
+
+      try {
+        await (retry
+          ? withRetry(call, {
+              signal,
+              onRetry: (attempt, wait, err) =>
+                onRetry?.(move, attempt, wait, err),
+            })
+          : call(signal));
+        status.ok = true;
+      } catch (err) {
+        if (signal?.aborted) break;
+        status.error = err.message;
+      }
+
+      results.push(status);
+      onProgress(i + 1, moves.length, status);
+    }
+
+    return results;
+  }
+
+  /** Resolve after `ms`, or as soon as `signal` aborts. */
+  function sleep(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener("abort", done, { once: true });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dry run
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Look the consts up on IMDb with a read-only query. Returns a Map of
+   * const → {title, type, year}; consts IMDb doesn't know are left out.
+   */
+  async function checkConsts(ids, signal) {
+    const data = await graphqlRequest(
+      QUERIES.constCheck,
+      "ConstCheck",
+      {
+        titleIds: ids.filter((id) => id.startsWith("tt")),
+        nameIds: ids.filter((id) => id.startsWith("nm")),
+      },
+      signal,
+    );
+
+    const found = new Map();
+    (data.titles ?? []).filter(Boolean).forEach((t) => {
+      found.set(t.id, {
+        title: t.titleText?.text ?? "",
+        type: t.titleType?.text ?? "Title",
+        year: String(t.releaseYear?.year ?? ""),
+      });
+    });
+    (data.names ?? []).filter(Boolean).forEach((n) => {
+      found.set(n.id, {
+        title: n.nameText?.text ?? "",
+        type: "Person",
+        year: "",
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Check `items` without changing anything: look each const up on IMDb
+   * (METADATA_BATCH_SIZE per request) and see whether it's already on its
+   * list. `existing` maps a list ID to the Set of consts on it; items whose
+   * list has no entry (a list still to be created, or one that couldn't be
+   * read) get `onList: null`.
+   *
+   * @param {Array<{id:string, listId?:string}>} items
+   * @param {object}  opts
+   * @param {Map<string, Set<string>>} opts.existing
+   * @param {boolean} [opts.retry=true]
+   * @param {function} opts.onProgress  Called after each item with (done, total, status).
+   * @param {function} [opts.onRetry]   Called before a retry with (attempt, delayMs, error).
+   * @param {AbortSignal} [opts.signal]
+   * @param {object} [opts.gate]  A createGate() holding the next request while paused.
+   * @returns {Promise<Array>} One {index, id, listId, ok, error, title, type, year, onList} per checked item.
+   */
+  async function dryRunItems(
+    items,
+    { existing, retry = true, onProgress, onRetry, signal, gate },
+  ) {
+    const results = [];
+
+    for (let i = 0; i < items.length; i += METADATA_BATCH_SIZE) {
+      await gate?.wait(signal);
+      if (signal?.aborted) break;
+
+      const batch = items.slice(i, i + METADATA_BATCH_SIZE);
+      const ids = [
+        ...new Set(
+          batch.map((item) => item.id).filter((id) => CONST_PATTERN.test(id)),
+        ),
+      ];
+      let found = new Map();
+      let failure = null;
+      if (ids.length > 0) {
+        const call = (signal) => checkConsts(ids, signal);
+        try {
+          found = await (retry
+            ? withRetry(call, { signal, onRetry })
+            : call(signal));
+        } catch (err) {
+          if (signal?.aborted) break;
+          failure = err.message;
+        }
+      }
+
+      batch.forEach((item, n) => {
+        const onList = existing.get(item.listId)?.has(item.id) ?? null;
+        const status = {
+          index: i + n,
+          id: item.id,
+          listId: item.listId ?? null,
+          ok: false,
+          error: null,
+          title: "",
+          type: "",
+          year: "",
+          onList,
+        };
+        if (!CONST_PATTERN.test(item.id)) {
+          status.error = "Not a valid IMDb ID";
+        } else if (failure) {
+          status.error = `Lookup failed – ${failure}`;
+        } else if (!found.has(item.id)) {
+          status.error = "Not found on IMDb";
+        } else {
+          Object.assign(status, found.get(item.id), { ok: true });
+        }
+        results.push(status);
+        onProgress(results.length, items.length, status);
+      });
+    }
+
+    return results;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Downloads
+  // ---------------------------------------------------------------------------
+
+  /** Save `content` as a file through a temporary object URL. */
+  function downloadFile(filename, content, type = "text/csv;charset=utf-8;") {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadTemplate() {
+    const csv = 'id,description\ntt0111161,"Your description here"';
+    downloadFile("imdb_bulk_upload_template.csv", csv);
+  }
+
+  const REPORT_COLUMNS = [
+    "row",
+    "source",
+    "list",
+    "action",
+    "id",
+    "title",
+    "itemId",
+    "descriptionSet",
+    "ok",
+    "error",
+    "startedAt",
+    "finishedAt",
+  ];
+
+  /**
+   * Download every item of `listId` as `id,description,position`, keeping the
+   * original description markup so the file can be uploaded again.
+   * Resolves with the number of exported items.
+   */
+  async function exportList(listId) {
+    const items = await fetchListItems(listId);
+    const csv = toCSV(
+      ["id", "description", "position"],
+      items.map((item, i) => [item.id, item.description, i + 1]),
+    );
+    downloadFile(`imdb_list_${listId}.csv`, csv);
+    return items.length;
+  }
+
+  const DRY_RUN_COLUMNS = [
+    "row",
+    "list",
+    "id",
+    "title",
+    "type",
+    "year",
+    "onList",
+    "ok",
+    "error",
+  ];
+
+  /** Download the results of dryRunItems() as CSV, for sign-off before an upload. */
+  function downloadDryRun(results, listId) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    downloadFile(
+      `imdb_bulk_upload_dry_run_${listId ?? "new_list"}_${stamp}.csv`,
+      toCSV(
+        DRY_RUN_COLUMNS,
+        results.map((s) => [
+          s.index + 1,
+          s.listId,
+          s.id,
+          s.title,
+          s.type,
+          s.year,
+          s.onList,
+          s.ok,
+          s.error,
+        ]),
+      ),
+    );
+  }
+
+  /** One report record per processed item of `job`, in input order. */
+  function buildReport(job) {
+    return job.statuses.filter(Boolean).map((s) => {
+      const item = job.items[s.index];
+      return {
+        row: s.index + 1,
+        // Where the row came from in the input, for matching it back up
+        source: item.line != null ? lineRef(item, s.index) : "",
+        list: s.listId ?? job.listId,
+        action: s.action,
+        id: s.id,
+        title: s.ok ? s.title : "",
+        itemId: s.itemId,
+        descriptionSet: s.descriptionSet,
+        ok: s.ok,
+        error: s.error,
+        startedAt: s.startedAt,
+        finishedAt: s.finishedAt,
+      };
+    });
+  }
+
+  /** Download the per-item report of `job` as "csv" or "json". */
+  function downloadReport(job, format) {
+    const records = buildReport(job);
+    const stamp = job.createdAt.replace(/[:.]/g, "-");
+    const filename = `imdb_bulk_upload_report_${job.listId}_${stamp}.${format}`;
+
+    if (format === "json") {
+      const report = {
+        listId: job.listId,
+        createdAt: job.createdAt,
+        total: job.items.length,
+        items: records,
+      };
+      downloadFile(
+        filename,
+        JSON.stringify(report, null, 2),
+        "application/json;charset=utf-8;",
+      );
+      return;
+    }
+
+    downloadFile(
+      filename,
+      toCSV(
+        REPORT_COLUMNS,
+        records.map((r) => REPORT_COLUMNS.map((k) => r[k])),
+      ),
+    );
+  }
+
+  /**
+   * Items of `job` that were processed and failed, with their error. An add
+   * that reached the list but failed its description keeps its `itemId`, so
+   * retrying it only sets the description.
+   */
+  function failedItems(job) {
+    return job.statuses
+      .filter((s) => s && !s.ok && !unfinished(s))
+      .map((s) => ({
+        ...job.items[s.index],
+        ...(s.action === "add" && s.itemId
+          ? { itemId: s.itemId, title: s.title }
+          : {}),
+        error: s.error,
+      }));
+  }
+
+  /**
+   * Download a job's failed rows as `id,description,error` – with a `list`
+   * column when the job spanned several lists. The file can be fed straight
+   * back into the uploader – the extra `error` column is ignored.
+   */
+  function downloadFailedItems(job) {
+    const csv = job.lists
+      ? toCSV(
+          ["id", "description", "list", "error"],
+          failedItems(job).map((f) => [f.id, f.description, f.listId, f.error]),
+        )
+      : toCSV(
+          ["id", "description", "error"],
+          failedItems(job).map((f) => [f.id, f.description, f.error]),
+        );
+    downloadFile(`imdb_bulk_upload_failed_${job.listId}.csv`, csv);
+  }
+
+  // ---------------------------------------------------------------------------
+  // UI
+  // ---------------------------------------------------------------------------
+
+  /** What the card can do, with the wording used for each. */
+  const MODES = {
+    add: {
+      label: "Add to list",
+      hint: "Adds the input's items to this list.",
+      start: "Start Upload",
+      running: "Uploading…",
+      noun: "Upload",
+      done: "added",
+    },
+    create: {
+      label: "New list from input",
+      hint: "Creates a list and uploads the input into it.",
+      start: "Create List",
+      running: "Uploading…",
+      noun: "Upload",
+      done: "added",
+    },
+    describe: {
+      label: "Descriptions only",
+      hint: "Updates descriptions of items already on this list; nothing is added.",
+      start: "Update Descriptions",
+      running: "Updating…",
+      noun: "Update",
+      done: "updated",
+    },
+    remove: {
+      label: "Remove from list",
+      hint: "Removes the input's items, or items matching a filter, from this list.",
+      start: "Start Removal",
+      running: "Removing…",
+      noun: "Removal",
+      done: "removed",
+    },
+    sync: {
+      label: "Sync with input",
+      hint: "Makes this list match the input: adds, updates descriptions, removes the rest.",
+      start: "Start Sync",
+      running: "Syncing…",
+      noun: "Sync",
+      done: "applied",
+    },
+  };
+
+  /** Log verbs for each item action (see performItem). */
+  const ACTION_LABELS = {
+    add: "Added",
+    describe: "Updated description of",
+    remove: "Removed",
+  };
+
+  /** Find the "Add a title to this list" container using stable selectors. */
+  function findAddTitleSection() {
+    // Primary: stable data-testid on the autocomplete input
+    const input = document.querySelector(
+      '[data-testid="entity-autocomplete-input"]',
+    );
+    if (input) {
+      // Walk up to the section-level container that wraps the label + input
+      let el = input;
+      while (el && el.parentElement) {
+        el = el.parentElement;
+        // The wrapper is the first direct child of the page-section that contains the input
+        if (el.parentElement?.classList?.contains("list_page_mc_parent"))
+          return el;
+      }
+    }
+
+    // Fallback: find by label text
+    const allDivs = document.querySelectorAll("div");
+    for (const div of allDivs) {
+      if (
+        div.textContent.includes("Add a title to this list") &&
+        div.querySelector('input[placeholder="Search title to add"]') &&
+        div.parentElement?.tagName === "SECTION"
+      ) {
+        return div;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Where the card goes: above the add-title section on a list's edit page,
+   * above the first section of the main content on its other pages.
+   */
+  function findCardAnchor() {
+    return findAddTitleSection() ?? document.querySelector("main section");
+  }
+
+  function injectUI() {
+    const anchorSection = findCardAnchor();
+    if (!anchorSection) {
+      console.warn(
+        "[IMDb Bulk Uploader] Could not find where to add the card.",
+      );
+      return;
+    }
+
+    // State
+    let controller = new AbortController(); // a fresh one for every run
+    let gate = createGate();
+    let meter = null; // createRateMeter() of the current pass
+    let running = false;
+
+    // ---- Root card ----
+    const card = el("div", { className: "bulk-uploader-card" });
+
+    // ---- Header ----
+    const header = el("div", { className: "bu-header" }, [
+      el("div", { className: "bu-header-left" }, [
+        el("svg", {
+          innerHTML: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>`,
+        }),
+        el("span", { textContent: "Bulk Upload", className: "bu-title" }),
+      ]),
+      el("div", { className: "bu-header-right" }, [
+        el("button", {
+          textContent: "Export this list",
+          className: "bu-link-btn",
+          onclick: (e) => handleExport(e.currentTarget),
+        }),
+        el("button", {
+          textContent: "Download CSV Template",
+          className: "bu-link-btn",
+          onclick: downloadTemplate,
+        }),
+      ]),
+    ]);
+
+    // ---- Mode ----
+    let mode = "add";
+    const modeSelect = el(
+      "select",
+      { className: "bu-select" },
+      Object.entries(MODES).map(([value, m]) =>
+        el("option", { value, textContent: m.label }),
+      ),
+    );
+    const modeHint = el("span", { className: "bu-mode-hint" });
+    const strategySelect = el("select", { className: "bu-select" }, [
+      el("option", { value: "overwrite", textContent: "Overwrite" }),
+      el("option", { value: "fill", textContent: "Only fill empty" }),
+      el("option", { value: "append", textContent: "Append" }),
+    ]);
+    const strategyLabel = el(
+      "label",
+      { className: "bu-delay-label bu-hidden" },
+      [el("span", { textContent: "Existing descriptions" }), strategySelect],
+    );
+    modeSelect.addEventListener("change", () => {
+      mode = modeSelect.value;
+      applyMode();
+    });
+
+    /** Show the controls the current mode uses. */
+    function applyMode() {
+      modeHint.textContent = MODES[mode].hint;
+      strategyLabel.classList.toggle("bu-hidden", mode !== "describe");
+      refreshRemoveFilter();
+      targetRow.classList.toggle("bu-hidden", mode !== "add");
+      if (mode !== "add") targetPanel.classList.add("bu-hidden");
+      createPanel.classList.toggle("bu-hidden", mode !== "create");
+      if (!running) startBtn.textContent = startLabel();
+    }
+
+    /** The Start button's label for the current mode and dry-run setting. */
+    function startLabel() {
+      return dryRunCheckbox.checked ? "Start Dry Run" : MODES[mode].start;
+    }
+
+    // Away from a list (e.g. the user's lists page) a new list is all we can make
+    if (!getListId()) {
+      mode = "create";
+      modeSelect.value = mode;
+      [...modeSelect.options].forEach((option) => {
+        option.disabled = option.value !== "create";
+      });
+    }
+    const modeRow = el("div", { className: "bu-options" }, [
+      el("label", { className: "bu-delay-label" }, [
+        el("span", { textContent: "Mode" }),
+        modeSelect,
+      ]),
+      strategyLabel,
+      modeHint,
+    ]);
+
+    // ---- New list ----
+    const newListName = el("input", {
+      type: "text",
+      className: "bu-input",
+      placeholder: "e.g. TIFF 2026 – Midnight Madness",
+    });
+    const newListDescription = el("input", {
+      type: "text",
+      className: "bu-input",
+      placeholder: "Optional",
+    });
+    const newListType = el("select", { className: "bu-select" }, [
+      el("option", { value: "TITLES", textContent: "Titles" }),
+      el("option", { value: "PEOPLE", textContent: "People" }),
+    ]);
+    const newListVisibility = el("select", { className: "bu-select" }, [
+      el("option", { value: "PUBLIC", textContent: "Public" }),
+      el("option", { value: "PRIVATE", textContent: "Private" }),
+    ]);
+    const createPanel = el("div", { className: "bu-mapping bu-hidden" }, [
+      el("div", { className: "bu-mapping-grid" }, [
+        el("label", { className: "bu-mapping-field" }, [
+          el("span", { textContent: "List name" }),
+          newListName,
+        ]),
+        el("label", { className: "bu-mapping-field" }, [
+          el("span", { textContent: "Type" }),
+          newListType,
+        ]),
+        el("label", { className: "bu-mapping-field" }, [
+          el("span", { textContent: "Visibility" }),
+          newListVisibility,
+        ]),
+      ]),
+      el("label", { className: "bu-mapping-field" }, [
+        el("span", { textContent: "List description" }),
+        newListDescription,
+      ]),
+    ]);
+
+    // ---- Removal filter ----
+    const removeSourceSelect = el("select", { className: "bu-select" }, [
+      el("option", { value: "input", textContent: "Items in the input" }),
+      el("option", { value: "filter", textContent: "Items matching a filter" }),
+    ]);
+    const removeBeforeInput = el("input", {
+      type: "date",
+      className: "bu-input",
+    });
+    const removeTypeSelect = el("select", { className: "bu-select" }, [
+      el("option", { value: "any", textContent: "Any type" }),
+      el("option", { value: "title", textContent: "Titles" }),
+      el("option", { value: "name", textContent: "Names" }),
+    ]);
+    const removeFilterFields = el("span", { className: "bu-options" }, [
+      el("label", { className: "bu-delay-label" }, [
+        el("span", { textContent: "Added before" }),
+        removeBeforeInput,
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        el("span", { textContent: "Type" }),
+        removeTypeSelect,
+      ]),
+    ]);
+    const removeRow = el("div", { className: "bu-options bu-hidden" }, [
+      el("label", { className: "bu-delay-label" }, [
+        el("span", { textContent: "Remove" }),
+        removeSourceSelect,
+      ]),
+      removeFilterFields,
+    ]);
+    removeSourceSelect.addEventListener("change", refreshRemoveFilter);
+
+    /** Removing by filter needs no input, so the input section is hidden. */
+    function usesRemoveFilter() {
+      return mode === "remove" && removeSourceSelect.value === "filter";
+    }
+
+    function refreshRemoveFilter() {
+      removeRow.classList.toggle("bu-hidden", mode !== "remove");
+      removeFilterFields.classList.toggle("bu-hidden", !usesRemoveFilter());
+      inputSection.classList.toggle("bu-hidden", usesRemoveFilter());
+    }
+
+    // ---- Resume banner ----
+    const resumeBanner = el("div", { className: "bu-banner bu-hidden" });
+
+    // ---- Session check ----
+    let access = null; // last checkAccess() result
+    const accessBanner = el("div", { className: "bu-banner bu-hidden" });
+
+    // ---- Tabs ----
+    let activeTab = "textarea";
+
+    const tabTextarea = el("button", {
+      textContent: "Paste Data",
+      className: "bu-tab bu-tab-active",
+      onclick: () => switchTab("textarea"),
+    });
+    const tabFile = el("button", {
+      textContent: "Upload CSV",
+      className: "bu-tab",
+      onclick: () => switchTab("file"),
+    });
+    const tabList = el("button", {
+      textContent: "Copy from List",
+      className: "bu-tab",
+      onclick: () => switchTab("list"),
+    });
+    const tabBar = el("div", { className: "bu-tabs" }, [
+      tabTextarea,
+      tabFile,
+      tabList,
+    ]);
+
+    // ---- Textarea panel ----
+    const textarea = el("textarea", {
+      className: "bu-textarea",
+      placeholder:
+        'id,description\ntt0111161,"Your description here"\ntt0068646\ntt0468569,"Another description"',
+      spellcheck: false,
+    });
+    const textareaPanel = el("div", { className: "bu-panel" }, [textarea]);
+
+    // ---- Text input options (paste and file tabs) ----
+    const extractCheckbox = el("input", { type: "checkbox" });
+    const trailingCheckbox = el("input", { type: "checkbox", disabled: true });
+    extractCheckbox.addEventListener("change", () => {
+      trailingCheckbox.disabled = !extractCheckbox.checked;
+      refreshMapping();
+    });
+    const inputOptions = el("div", { className: "bu-options" }, [
+      el("label", { className: "bu-delay-label" }, [
+        extractCheckbox,
+        el("span", {
+          textContent: "Extract IDs from any text (URLs, HTML, Markdown)",
+        }),
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        trailingCheckbox,
+        el("span", { textContent: "Use text after an ID as its description" }),
+      ]),
+    ]);
+
+    // ---- Column mapping (paste and file tabs) ----
+    const MAPPING_FIELDS = [
+      { key: "id", label: "ID" },
+      { key: "description", label: "Description" },
+      { key: "title", label: "Title (lookup)" },
+      { key: "year", label: "Year (lookup)" },
+      { key: "type", label: "Type (lookup)" },
+      { key: "position", label: "Position" },
+      { key: "list", label: "List" },
+    ];
+    const DELIMITER_NAMES = { ",": "Comma", ";": "Semicolon", "\t": "Tab" };
+
+    const mappingSelects = {};
+    const mappingInfo = el("div", { className: "bu-preview-summary" });
+    const mappingGrid = el("div", { className: "bu-mapping-grid" });
+    const templateInput = el("input", {
+      type: "text",
+      className: "bu-input",
+      placeholder:
+        "Optional, e.g. [b]#{rank}[/b] — {title} ({year}) · Directed by {director}\\n{Notes}",
+      spellcheck: false,
+    });
+    const presetSelect = el("select", { className: "bu-select" });
+    presetSelect.addEventListener("change", () => {
+      templateInput.value = presetSelect.value;
+    });
+    const presetRow = el("label", { className: "bu-mapping-field" }, [
+      el("span", { textContent: "Description from" }),
+      presetSelect,
+    ]);
+    const mappingPanel = el("div", { className: "bu-mapping bu-hidden" }, [
+      mappingInfo,
+      mappingGrid,
+      presetRow,
+    ]);
+    let mappingKey = null; // column labels the panel was built for
+    // Chosen files (see readInputFile) and their merged table
+    let files = [];
+    let fileTable = null;
+    let fileMergeError = null; // why the chosen files can't be merged
+    let fileIgnored = []; // see mergeTables
+
+    /**
+     * Show the column-mapping step for `table` unless it is plain
+     * `id,description` data. Choices survive edits that keep the same columns.
+     */
+    function updateMapping(table) {
+      const labels = columnLabels(table);
+      const simple =
+        !table.format &&
+        labels.length <= 2 &&
+        (!table.headers ||
+          table.headers.every((h) => /^(id|description)$/i.test(h)));
+
+      if (
+        activeTab === "list" ||
+        extractCheckbox.checked ||
+        !table.rows.length ||
+        simple
+      ) {
+        mappingKey = null;
+        mappingPanel.classList.add("bu-hidden");
+        return;
+      }
+
+      const layout = table.format
+        ? `${table.format.name} detected`
+        : `${table.delimiter ? `${DELIMITER_NAMES[table.delimiter]}-separated` : "Spreadsheet"} · ${table.headers ? "header row detected" : "no header row"}`;
+      const from = table.sources > 1 ? ` from ${table.sources} files` : "";
+      mappingInfo.textContent = `${table.rows.length} row(s)${from} · ${layout} · Columns:`;
+      mappingPanel.classList.remove("bu-hidden");
+
+      const key = [table.format?.name, ...labels].join("\u0000");
+      if (key === mappingKey) return;
+      mappingKey = key;
+
+      const guess = guessMapping(table);
+      mappingGrid.innerHTML = "";
+      MAPPING_FIELDS.forEach(({ key: field, label }) => {
+        const select = el("select", { className: "bu-select" }, [
+          el("option", { value: "-1", textContent: "— none —" }),
+          ...labels.map((name, i) =>
+            el("option", { value: String(i), textContent: name }),
+          ),
+        ]);
+        select.value = String(guess[field]);
+        mappingSelects[field] = select;
+        mappingGrid.append(
+          el("label", { className: "bu-mapping-field" }, [
+            el("span", { textContent: label }),
+            select,
+          ]),
+        );
+      });
+
+      const presets = availablePresets(table);
+      presetSelect.innerHTML = "";
+      presetSelect.append(
+        el("option", { value: "", textContent: "Description column" }),
+        ...presets.map((p) =>
+          el("option", { value: p.template, textContent: p.label }),
+        ),
+      );
+      presetRow.classList.toggle("bu-hidden", presets.length === 0);
+    }
+
+    /** The mapping chosen in the panel, or undefined to let the parser guess. */
+    function currentMapping() {
+      if (mappingKey === null) return undefined;
+
+      const mapping = {};
+      MAPPING_FIELDS.forEach(({ key }) => {
+        mapping[key] = parseInt(mappingSelects[key].value, 10);
+      });
+      return mapping;
+    }
+
+    function refreshMapping() {
+      updateMapping(
+        activeTab === "file"
+          ? (fileTable ?? parseTable(""))
+          : parseTable(textarea.value),
+      );
+    }
+
+    let mappingTimer = null;
+    textarea.addEventListener("input", () => {
+      clearTimeout(mappingTimer);
+      mappingTimer = setTimeout(refreshMapping, 300);
+    });
+
+    // ---- Description template ----
+    const templateRow = el("div", { className: "bu-template" }, [
+      el("label", { className: "bu-mapping-field" }, [
+        el("span", { textContent: "Description template" }),
+        templateInput,
+      ]),
+      el("div", {
+        className: "bu-mode-hint",
+        textContent:
+          "Placeholders: {description}, {rank}, {row}, {id}, any column as {Header} or {1}, and from IMDb {title}, {year}, {runtime}, {director}, {rating}, {genres}. \\n starts a new line.",
+      }),
+    ]);
+
+    // ---- File panel ----
+    const fileInput = el("input", {
+      type: "file",
+      accept: ".csv,.tsv,.txt,.json,.xlsx,.ods",
+      multiple: true,
+      id: "bu-csv-file",
+      className: "bu-file-input",
+    });
+    const fileLabelText = el("span", {
+      textContent: "Click to choose, or drop, CSV or Excel/ODS files",
+      className: "bu-file-text",
+    });
+    const fileList = el("div", { className: "bu-file-list bu-hidden" });
+    const fileLabel = el(
+      "label",
+      { htmlFor: "bu-csv-file", className: "bu-file-label" },
+      [
+        el("span", {
+          innerHTML: `<svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/><polyline points="10 9 9 9 8 9"/></svg>`,
+        }),
+        fileLabelText,
+      ],
+    );
+    const filePanel = el("div", { className: "bu-panel bu-panel-hidden" }, [
+      fileInput,
+      fileLabel,
+      fileList,
+    ]);
+
+    /** Read `chosen` files (replacing earlier ones) and show them. */
+    async function loadFiles(chosen) {
+      const accepted = [...chosen].filter((f) =>
+        INPUT_FILE_PATTERN.test(f.name),
+      );
+      const skipped = [...chosen].filter((f) => !accepted.includes(f));
+      if (skipped.length > 0) {
+        logError(
+          `Skipped ${skipped.map((f) => f.name).join(", ")}: only .csv, .tsv, .txt, .json, .xlsx and .ods files are read.`,
+        );
+      }
+      if (accepted.length === 0) return;
+
+      fileLabelText.textContent = "Reading…";
+      try {
+        files = await Promise.all(accepted.map(readInputFile));
+      } catch (err) {
+        files = [];
+        logError(`Could not read ${err.message}`);
+      }
+      renderFiles();
+    }
+
+    /** Rebuild the merged table and the file list with its sheet pickers. */
+    function renderFiles() {
+      fileTable = null;
+      fileMergeError = null;
+      fileIgnored = [];
+      if (files.length > 0) {
+        try {
+          const merged = mergeTables(
+            files.map((file) => ({
+              source: files.length > 1 ? sourceLabel(file) : null,
+              table: fileToTable(file),
+            })),
+          );
+          fileTable = merged.table;
+          fileIgnored = merged.ignored;
+        } catch (err) {
+          fileMergeError = err.message;
+          logError(err.message);
+        }
+      }
+
+      fileLabelText.textContent =
+        files.length === 0
+          ? "Click to choose, or drop, CSV or Excel/ODS files"
+          : files.length === 1
+            ? files[0].name
+            : `${files.length} files – click or drop to replace`;
+      fileList.classList.toggle(
+        "bu-hidden",
+        files.length < 2 && !files[0]?.sheets,
+      );
+      fileList.replaceChildren(
+        ...files.map((file, i) => {
+          const rows = fileToTable(file).rows.length;
+          const picker =
+            file.sheets?.length > 1 &&
+            el(
+              "select",
+              {
+                className: "bu-select",
+                title: "Sheet to read",
+                onchange: (e) => {
+                  file.sheet = parseInt(e.target.value, 10);
+                  renderFiles();
+                },
+              },
+              file.sheets.map((sheet, n) =>
+                el("option", {
+                  value: String(n),
+                  textContent: `${sheet.name} (${sheet.records.length} rows)`,
+                  selected: n === file.sheet,
+                }),
+              ),
+            );
+          return el("div", { className: "bu-file-entry" }, [
+            el("span", { textContent: file.name }),
+            picker,
+            el("span", {
+              className: "bu-mode-hint",
+              textContent: `${rows} row(s)`,
+            }),
+            el("button", {
+              textContent: "×",
+              title: "Remove this file",
+              className: "bu-row-remove",
+              onclick: () => {
+                files.splice(i, 1);
+                renderFiles();
+              },
+            }),
+          ]);
+        }),
+      );
+      refreshMapping();
+    }
+
+    fileInput.addEventListener("change", async () => {
+      if (fileInput.files.length) {
+        await loadFiles(fileInput.files);
+        fileInput.value = "";
+      }
+    });
+
+    // Files dropped anywhere on the card go to the Upload tab
+    const hasFiles = (e) => e.dataTransfer?.types.includes("Files");
+    card.addEventListener("dragover", (e) => {
+      if (!hasFiles(e) || running) return;
+      e.preventDefault();
+      card.classList.add("bu-dragover");
+    });
+    card.addEventListener("dragleave", (e) => {
+      if (!card.contains(e.relatedTarget)) card.classList.remove("bu-dragover");
+    });
+    card.addEventListener("drop", (e) => {
+      if (!hasFiles(e) || running) return;
+      e.preventDefault();
+      card.classList.remove("bu-dragover");
+      switchTab("file");
+      loadFiles(e.dataTransfer.files).catch((err) => {
+        logError(`Could not read the dropped files: ${err.message}`);
+      });
+    });
+
+    // ---- Copy-from-list panel ----
+    const copyInput = el("input", {
+      type: "text",
+      className: "bu-input",
+      placeholder: "ls012345678 or https://www.imdb.com/list/ls012345678/",
+      spellcheck: false,
+    });
+    const copyDescriptions = el("input", { type: "checkbox", checked: true });
+    const copySkipExisting = el("input", { type: "checkbox", checked: true });
+    const listPanel = el("div", { className: "bu-panel bu-panel-hidden" }, [
+      copyInput,
+      el("div", { className: "bu-options bu-options-inline" }, [
+        el("label", { className: "bu-delay-label" }, [
+          copyDescriptions,
+          el("span", { textContent: "Copy descriptions" }),
+        ]),
+        el("label", { className: "bu-delay-label" }, [
+          copySkipExisting,
+          el("span", { textContent: "Skip items already on this list" }),
+        ]),
+      ]),
+    ]);
+
+    function switchTab(tab) {
+      activeTab = tab;
+      tabTextarea.classList.toggle("bu-tab-active", tab === "textarea");
+      tabFile.classList.toggle("bu-tab-active", tab === "file");
+      tabList.classList.toggle("bu-tab-active", tab === "list");
+      textareaPanel.classList.toggle("bu-panel-hidden", tab !== "textarea");
+      filePanel.classList.toggle("bu-panel-hidden", tab !== "file");
+      listPanel.classList.toggle("bu-panel-hidden", tab !== "list");
+      inputOptions.classList.toggle("bu-hidden", tab === "list");
+      refreshMapping();
+    }
+
+    // ---- Options row ----
+    const delayCheckbox = el("input", {
+      type: "checkbox",
+      id: "bu-delay-toggle",
+    });
+    const delaySelect = el("select", {
+      className: "bu-select",
+      disabled: true,
+    });
+    DELAY_OPTIONS.forEach((opt) => {
+      const o = el("option", { value: opt.value, textContent: opt.label });
+      delaySelect.appendChild(o);
+    });
+    delayCheckbox.addEventListener("change", () => {
+      delaySelect.disabled = !delayCheckbox.checked;
+    });
+
+    const retryCheckbox = el("input", {
+      type: "checkbox",
+      id: "bu-retry-toggle",
+      checked: true,
+    });
+    const reorderCheckbox = el("input", {
+      type: "checkbox",
+      id: "bu-reorder-toggle",
+    });
+    const concurrencySelect = el(
+      "select",
+      { className: "bu-select" },
+      CONCURRENCY_OPTIONS.map((n) =>
+        el("option", { value: String(n), textContent: String(n) }),
+      ),
+    );
+    const batchCheckbox = el("input", {
+      type: "checkbox",
+      id: "bu-batch-toggle",
+    });
+    const dryRunCheckbox = el("input", {
+      type: "checkbox",
+      id: "bu-dry-run-toggle",
+    });
+    dryRunCheckbox.addEventListener("change", () => {
+      if (!running) startBtn.textContent = startLabel();
+    });
+
+    const optionsRow = el("div", { className: "bu-options" }, [
+      el("label", { className: "bu-delay-label" }, [
+        delayCheckbox,
+        el("span", { textContent: "Delay between requests" }),
+      ]),
+      delaySelect,
+      el("label", { className: "bu-delay-label" }, [
+        retryCheckbox,
+        el("span", { textContent: "Retry temporary errors" }),
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        reorderCheckbox,
+        el("span", { textContent: "Apply input order as list positions" }),
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        el("span", { textContent: "Parallel requests" }),
+        concurrencySelect,
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        batchCheckbox,
+        el("span", {
+          textContent: `Batch up to ${BATCH_SIZE} items per request`,
+        }),
+      ]),
+      el("label", { className: "bu-delay-label" }, [
+        dryRunCheckbox,
+        el("span", { textContent: "Dry run (check IDs, change nothing)" }),
+      ]),
+    ]);
+
+    // ---- Action buttons ----
+    const startBtn = el("button", {
+      textContent: "Start Upload",
+      className: "bu-btn bu-btn-primary",
+    });
+    const pauseBtn = el("button", {
+      textContent: "Pause",
+      className: "bu-btn bu-hidden",
+    });
+    const cancelBtn = el("button", {
+      textContent: "Cancel",
+      className: "bu-btn bu-btn-cancel bu-hidden",
+    });
+
+    const actionRow = el("div", { className: "bu-actions" }, [
+      startBtn,
+      pauseBtn,
+      cancelBtn,
+    ]);
+
+    // ---- Pre-upload preview ----
+    const previewPanel = el("div", { className: "bu-preview bu-hidden" });
+
+    // ---- Target lists (add mode) ----
+    let userLists = null; // fetched on demand
+    const targets = new Set(getListId() ? [getListId()] : []);
+    const targetSummary = el("span", { className: "bu-mode-hint" });
+    const targetPanel = el("div", { className: "bu-targets bu-hidden" });
+    const targetButton = el("button", {
+      type: "button",
+      textContent: "Choose lists…",
+      className: "bu-link-btn",
+      onclick: toggleTargetPanel,
+    });
+    const targetRow = el("div", { className: "bu-options" }, [
+      el("span", { className: "bu-delay-label", textContent: "Add to" }),
+      targetSummary,
+      targetButton,
+    ]);
+
+    /** Name of `listId` among the user's lists, or the ID itself. */
+    function listName(listId) {
+      return userLists?.find((l) => l.id === listId)?.name ?? listId;
+    }
+
+    function refreshTargets() {
+      const ids = [...targets];
+      targetSummary.textContent =
+        ids.length === 1 && ids[0] === getListId()
+          ? "This list (rows with a list column go to that list)"
+          : ids.length === 0
+            ? "Only rows with a list column"
+            : ids.map(listName).join(", ");
+    }
+
+    async function toggleTargetPanel() {
+      if (!targetPanel.classList.contains("bu-hidden")) {
+        targetPanel.classList.add("bu-hidden");
+        return;
+      }
+      targetPanel.classList.remove("bu-hidden");
+      if (!userLists) {
+        targetPanel.textContent = "Loading your lists…";
+        try {
+          userLists = await fetchUserLists();
+        } catch (err) {
+          targetPanel.textContent = `Could not load your lists: ${err.message}`;
+          return;
+        }
+      }
+
+      const current = getListId();
+      const lists = userLists.some((l) => l.id === current)
+        ? userLists
+        : [{ id: current, name: current, type: "" }, ...userLists];
+      targetPanel.replaceChildren(
+        ...lists
+          .filter((l) => l.type !== "IMAGES")
+          .map((l) => {
+            const box = el("input", {
+              type: "checkbox",
+              checked: targets.has(l.id),
+              onchange: () => {
+                if (box.checked) targets.add(l.id);
+                else targets.delete(l.id);
+                refreshTargets();
+              },
+            });
+            return el("label", { className: "bu-delay-label" }, [
+              box,
+              el("span", {
+                textContent:
+                  l.id === current ? `${l.name} (this list)` : l.name,
+              }),
+            ]);
+          }),
+      );
+      refreshTargets();
+    }
+    refreshTargets();
+
+    // ---- Progress area ----
+    const progressContainer = el("div", { className: "bu-progress bu-hidden" });
+    const progressBar = el("div", { className: "bu-progress-bar" });
+    const progressTrack = el("div", { className: "bu-progress-track" }, [
+      progressBar,
+    ]);
+    const progressText = el("span", { className: "bu-progress-text" });
+    const progressRate = el("span", { className: "bu-progress-rate" });
+    const progressHead = el("div", { className: "bu-progress-head" }, [
+      progressTrack,
+      progressRate,
+      progressText,
+    ]);
+
+    const listProgress = el("div", { className: "bu-list-progress bu-hidden" });
+    const logList = el("div", { className: "bu-log" });
+    const summaryPanel = el("div", { className: "bu-summary bu-hidden" });
+    progressContainer.append(progressHead, listProgress, logList, summaryPanel);
+
+    // ---- Assemble ----
+    const inputSection = el("div", {}, [
+      tabBar,
+      textareaPanel,
+      filePanel,
+      listPanel,
+      inputOptions,
+      mappingPanel,
+      templateRow,
+    ]);
+    card.append(
+      header,
+      modeRow,
+      createPanel,
+      removeRow,
+      accessBanner,
+      resumeBanner,
+      inputSection,
+      targetRow,
+      targetPanel,
+      optionsRow,
+      actionRow,
+      previewPanel,
+      progressContainer,
+    );
+    anchorSection.parentElement.insertBefore(card, anchorSection);
+    applyMode();
+
+    // ---- Start handler ----
+    startBtn.addEventListener("click", async () => {
+      if (running) return;
+
+      const listId = getListId();
+      if (!listId && mode !== "create") {
+        logError("Could not determine list ID from URL.");
+        return;
+      }
+
+      running = true;
+      startBtn.disabled = true;
+
+      startBtn.textContent = "Checking session…";
+      if (!(await checkSession(listId))) {
+        resetControls();
+        return;
+      }
+
+      const dryRun = dryRunCheckbox.checked;
+      if (dryRun && usesRemoveFilter()) {
+        logError(
+          "A dry run checks the rows of your input. Choose “Items in the input” to check them, or untick Dry run – removal by filter always shows a preview first.",
+        );
+        resetControls();
+        return;
+      }
+
+      if (usesRemoveFilter()) {
+        if (!removeBeforeInput.value && removeTypeSelect.value === "any") {
+          logError(
+            "Set “Added before” or a type to remove by – a filter without either would match every item on the list.",
+          );
+          resetControls();
+          return;
+        }
+        startBtn.textContent = "Checking list…";
+        try {
+          await runPlanned(listId, null, await fetchListItems(listId));
+        } catch (err) {
+          logError(`Could not read the list's current items: ${err.message}`);
+        }
+        resetControls();
+        return;
+      }
+
+      startBtn.textContent = "Reading input…";
+      let items = await readItems(listId);
+      if (!items) {
+        resetControls();
+        return;
+      }
+      if (items.length === 0) {
+        logError("No valid items found. Check your input format.");
+        resetControls();
+        return;
+      }
+
+      // Resolve rows given by title instead of const
+      if (items.some((item) => item.lookup)) {
+        await resolveLookups(items, (done, total) => {
+          startBtn.textContent = `Looking up titles… ${done}/${total}`;
+        });
+        startBtn.textContent = "Review matches…";
+        items = await showLookupReview(previewPanel, items);
+        if (!items) {
+          resetControls();
+          return;
+        }
+        if (items.length === 0) {
+          logError("No rows left to upload after the title lookup.");
+          resetControls();
+          return;
+        }
+      }
+
+      // Build descriptions from the template
+      if (templateInput.value.trim())
+        startBtn.textContent = "Filling in descriptions…";
+      try {
+        items = await applyDescriptionTemplate(
+          items,
+          templateInput.value.trim(),
+        );
+      } catch (err) {
+        logError(
+          `Could not fetch title details for the template: ${err.message}`,
+        );
+        resetControls();
+        return;
+      }
+
+      if (mode === "create") {
+        if (!dryRun) {
+          await runCreate(items);
+        } else if (!reportMismatches(items, () => newListType.value)) {
+          await runDryRun(items.map((item) => ({ ...item, listId: null })));
+        }
+        resetControls();
+        return;
+      }
+
+      startBtn.textContent = "Checking list…";
+
+      if (mode === "sync" && reportMismatches(items, () => access?.type)) {
+        resetControls();
+        return;
+      }
+
+      if (mode !== "add" && dryRun) {
+        await runDryRun(items.map((item) => ({ ...item, listId })));
+        resetControls();
+        return;
+      }
+
+      if (mode !== "add") {
+        try {
+          const existing = await fetchListItems(listId);
+          await runPlanned(listId, items, existing);
+        } catch (err) {
+          logError(`Could not read the list's current items: ${err.message}`);
+        }
+        resetControls();
+        return;
+      }
+
+      // Decide which list each row goes to. Any list but this one is
+      // checked against the user's own lists, for its owner and its type.
+      const otherLists =
+        items.some((item) => item.list) ||
+        [...targets].some((id) => id !== listId);
+      if (otherLists && !userLists) {
+        try {
+          userLists = await fetchUserLists();
+        } catch (err) {
+          logError(
+            `Could not load your lists to check the target lists: ${err.message}`,
+          );
+          resetControls();
+          return;
+        }
+      }
+      const assigned = assignLists(items, [...targets], userLists ?? []);
+      if (assigned.unknown.length > 0) {
+        logError(
+          `Unknown list(s): ${assigned.unknown.join(", ")}. Use a list ID or the exact name of one of your lists.`,
+        );
+        resetControls();
+        return;
+      }
+      if (assigned.items.length === 0) {
+        logError("No target list: choose a list or add a list column.");
+        resetControls();
+        return;
+      }
+      items = assigned.items;
+      if (
+        !dryRun &&
+        access?.owner === false &&
+        items.some((item) => item.listId === listId)
+      ) {
+        logError(
+          "This list belongs to another user. Untick it under “Add to” and choose one of your own lists.",
+        );
+        resetControls();
+        return;
+      }
+      const foreign = foreignLists(items);
+      if (!dryRun && foreign.length > 0) {
+        logError(
+          `Not one of your lists: ${foreign.join(", ")}. Rows can only go to lists you own.`,
+        );
+        resetControls();
+        return;
+      }
+      const listTypes = {
+        ...Object.fromEntries((userLists ?? []).map((l) => [l.id, l.type])),
+        [listId]: access?.type,
+      };
+      if (reportMismatches(items, (item) => listTypes[item.listId])) {
+        resetControls();
+        return;
+      }
+      if (dryRun) {
+        await runDryRun(items);
+        resetControls();
+        return;
+      }
+      const listIds = [...new Set(items.map((item) => item.listId))];
+      const multiple = listIds.length > 1 || listIds[0] !== listId;
+      const lists = multiple
+        ? Object.fromEntries(listIds.map((id) => [id, listName(id)]))
+        : null;
+      if (!multiple) items = items.map(({ listId, ...item }) => item);
+
+      // Compare against what is already on each list
+      const existing = [];
+      const unreadable = [];
+      for (const id of listIds) {
+        try {
+          const current = await fetchListItems(id);
+          existing.push(
+            ...(multiple
+              ? current.map((e) => ({ ...e, listId: id }))
+              : current),
+          );
+        } catch (err) {
+          unreadable.push(`${listName(id)} (${err.message})`);
+        }
+      }
+      const warning = unreadable.length
+        ? `Could not read the current items of ${unreadable.join(", ")}. Items already on ${unreadable.length > 1 ? "those lists" : "that list"} will not be detected.`
+        : "";
+
+      startBtn.textContent = "Review items…";
+      const reviewed = await showPreview(previewPanel, items, existing, {
+        warning,
+        skipExisting: activeTab !== "list" || copySkipExisting.checked,
+        allowEmpty: reorderCheckbox.checked,
+        lists,
+      });
+      if (!reviewed) {
+        resetControls();
+        return;
+      }
+
+      // Only this list is reordered
+      const ranked = reviewed.all.filter(
+        (item) => (item.listId ?? listId) === listId,
+      );
+      const order =
+        reorderCheckbox.checked && ranked.length > 0
+          ? ranked.map(({ id, position }) => ({ id, position }))
+          : null;
+
+      hideResumeBanner();
+      await runUpload(createJob(listId, reviewed.selected, { order, lists }));
+      resetControls();
+    });
+
+    /** Show what a session check found in the banner and remember it. */
+    function showAccess(result) {
+      access = result;
+      const listId = getListId();
+      const kind = { TITLES: "titles", PEOPLE: "people" }[result.type];
+
+      let level = "ok";
+      let text;
+      if (result.error) {
+        level = "warn";
+        text = `Could not check your IMDb session (${result.error}). Uploads will fail if you aren't logged in.`;
+      } else if (result.loggedIn === false) {
+        level = "error";
+        text =
+          "You aren't logged in to IMDb. Log in, then reload this page to upload.";
+      } else if (result.owner === false) {
+        level = "error";
+        text = `“${result.name ?? listId}” belongs to another user, so it can't be changed. You can still export it, or add its items to a list of your own.`;
+      } else if (listId) {
+        text = `Logged in · “${result.name ?? listId}” is ${kind ? `a ${kind} list` : "a list"}${result.owner ? " you own" : ""}.`;
+      } else {
+        text = "Logged in.";
+      }
+
+      accessBanner.className = `bu-banner bu-banner-${level}`;
+      accessBanner.replaceChildren(
+        el("span", { className: "bu-banner-text", textContent: text }),
+      );
+    }
+
+    /**
+     * Re-check the session before a run. Resolves false, with the reason in
+     * the log, when nobody is logged in or the mode would change this list
+     * and it belongs to someone else.
+     */
+    async function checkSession(listId) {
+      showAccess(await checkAccess(listId));
+      // A dry run changes nothing: it goes ahead and reports these instead
+      if (dryRunCheckbox.checked) return true;
+      if (access.loggedIn === false) {
+        logError("You aren't logged in to IMDb. Log in, then try again.");
+        return false;
+      }
+      if (
+        access.owner === false &&
+        ["describe", "remove", "sync"].includes(mode)
+      ) {
+        logError("This list belongs to another user, so it can't be changed.");
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Why a real run of `items` couldn't write to their lists, going by the
+     * last session check and the user's lists (when loaded), or null.
+     */
+    function writeProblem(items) {
+      if (access?.loggedIn === false) return "not logged in to IMDb";
+      if (
+        access?.owner === false &&
+        items.some((item) => item.listId === getListId())
+      ) {
+        return "can't write to this list";
+      }
+      const foreign = foreignLists(items);
+      return foreign.length > 0 ? `can't write to ${foreign.join(", ")}` : null;
+    }
+
+    /**
+     * Lists other than this one that `items` go to but that aren't among
+     * the user's lists. Empty until those have been loaded.
+     */
+    function foreignLists(items) {
+      if (!userLists) return [];
+      const own = new Set(userLists.map((l) => l.id));
+      return [...new Set(items.map((item) => item.listId))].filter(
+        (id) => id && id !== getListId() && !own.has(id),
+      );
+    }
+
+    /**
+     * Log rows whose kind doesn't fit their list (see typeMismatches).
+     * Returns true when there were any, so the run must stop.
+     */
+    function reportMismatches(items, typeOf) {
+      const mismatched = typeMismatches(items, typeOf);
+      if (mismatched.length === 0) return false;
+
+      const first = mismatched[0];
+      const kind = typeOf(first) === "PEOPLE" ? "people" : "titles";
+      logError(
+        `${mismatched.length} row(s) can't go on a ${kind} list (e.g. ${first.id}${first.line ? ` on line ${lineRef(first)}` : ""}). Remove them or pick a list of the right type.`,
+      );
+      return true;
+    }
+
+    /**
+     * After a run paused on sign-in errors, offer to carry on once the user
+     * has logged in again. The session is re-checked before continuing.
+     */
+    function showAuthPause(job) {
+      const text = el("span", {
+        className: "bu-banner-text",
+        textContent:
+          "Paused: IMDb stopped accepting your session. Log in again (in another tab, so this one keeps its place), then continue.",
+      });
+      accessBanner.className = "bu-banner bu-banner-error";
+      accessBanner.replaceChildren(
+        text,
+        el("button", {
+          textContent: "Continue",
+          className: "bu-btn bu-btn-primary",
+          onclick: async () => {
+            if (running) return;
+            showAccess(await checkAccess(getListId()));
+            if (access.loggedIn === false) {
+              showAuthPause(job);
+              return;
+            }
+            running = true;
+            await runUpload(job);
+            resetControls();
+          },
+        }),
+      );
+      accessBanner.scrollIntoView({ block: "nearest" });
+    }
+
+    /**
+     * Create a list from the "New list" fields, upload the reviewed `items`
+     * into it and open it once everything has been added.
+     */
+    async function runCreate(items) {
+      const name = newListName.value.trim();
+      if (!name) {
+        logError("Enter a name for the new list.");
+        return;
+      }
+
+      const type = newListType.value;
+      if (reportMismatches(items, () => type)) return;
+
+      startBtn.textContent = "Review items…";
+      const reviewed = await showPreview(previewPanel, items, []);
+      if (!reviewed) return;
 
-    fileInput.addEventListener("change", () => {
-      if (fileInput.files.length) {
-        fileLabel.querySelector(".bu-file-text").textContent =
-          fileInput.files[0].name;
+      startBtn.textContent = "Creating list…";
+      let newListId;
+      try {
+        newListId = await createList({
+          name,
+          description: newListDescription.value.trim(),
+          type,
+          visibility: newListVisibility.value,
+        });
+      } catch (err) {
+        logError(`Could not create the list: ${err.message}`);
+        return;
       }
-    });
-
-    function switchTab(tab) {
-      activeTab = tab;
-      tabTextarea.classList.toggle("bu-tab-active", tab === "textarea");
-      tabFile.classList.toggle("bu-tab-active", tab === "file");
-      textareaPanel.classList.toggle("bu-panel-hidden", tab !== "textarea");
-      filePanel.classList.toggle("bu-panel-hidden", tab !== "file");
-    }
 
-    // ---- Options row ----
-    const delayCheckbox = el("input", {
-      type: "checkbox",
-      id: "bu-delay-toggle",
-    });
-    const delaySelect = el("select", {
-      className: "bu-select",
-      disabled: true,
-    });
-    DELAY_OPTIONS.forEach((opt) => {
-      const o = el("option", { value: opt.value, textContent: opt.label });
-      delaySelect.appendChild(o);
-    });
-    delayCheckbox.addEventListener("change", () => {
-      delaySelect.disabled = !delayCheckbox.checked;
-    });
+      const order = reorderCheckbox.checked
+        ? reviewed.all.map(({ id, position }) => ({ id, position }))
+        : null;
+      const job = createJob(newListId, reviewed.selected, { order });
+      await runUpload(job);
 
-    const optionsRow = el("div", { className: "bu-options" }, [
-      el("label", { className: "bu-delay-label" }, [
-        delayCheckbox,
-        el("span", { textContent: "Delay between requests" }),
-      ]),
-      delaySelect,
-    ]);
+      const url = `/list/${newListId}/edit/`;
+      showLog(logList, `Created list "${name}" (${newListId}).`, "info");
+      if (!controller.signal.aborted && job.statuses.every((s) => s?.ok)) {
+        showLog(logList, "Opening the new list…", "info");
+        window.location.assign(url);
+      } else {
+        logList.append(
+          el("div", { className: "bu-refresh-row" }, [
+            el("a", {
+              href: url,
+              textContent: "Open the new list",
+              className: "bu-btn bu-btn-refresh",
+            }),
+          ]),
+        );
+        logList.scrollTop = logList.scrollHeight;
+      }
+    }
 
-    // ---- Action buttons ----
-    const startBtn = el("button", {
-      textContent: "Start Upload",
-      className: "bu-btn bu-btn-primary",
-    });
-    const cancelBtn = el("button", {
-      textContent: "Cancel",
-      className: "bu-btn bu-btn-cancel bu-hidden",
-    });
+    /**
+     * Plan the current mode's changes against `existing`, let the user
+     * confirm them and run them. `items` is null when removing by filter.
+     */
+    async function runPlanned(listId, items, existing) {
+      const plans = {
+        describe: () => planDescriptions(items, existing, strategySelect.value),
+        remove: () =>
+          planRemoval(existing, items, {
+            before: removeBeforeInput.value || null,
+            type: removeTypeSelect.value,
+          }),
+        sync: () => planSync(items, existing),
+      };
 
-    const actionRow = el("div", { className: "bu-actions" }, [
-      startBtn,
-      cancelBtn,
-    ]);
+      startBtn.textContent = "Review changes…";
+      const operations = await showChangesPreview(
+        previewPanel,
+        plans[mode](),
+        items && mode !== "remove" ? validateItems(items) : [],
+        { toggles: mode === "sync" },
+      );
+      if (!operations) return;
 
-    // ---- Progress area ----
-    const progressContainer = el("div", { className: "bu-progress bu-hidden" });
-    const progressBar = el("div", { className: "bu-progress-bar" });
-    const progressTrack = el("div", { className: "bu-progress-track" }, [
-      progressBar,
-    ]);
-    const progressText = el("span", { className: "bu-progress-text" });
-    const progressHead = el("div", { className: "bu-progress-head" }, [
-      progressTrack,
-      progressText,
-    ]);
+      const order =
+        items && mode !== "remove" && reorderCheckbox.checked
+          ? items.map(({ id, position }) => ({ id, position }))
+          : null;
 
-    const logList = el("div", { className: "bu-log" });
-    progressContainer.append(progressHead, logList);
+      hideResumeBanner();
+      await runUpload(createJob(listId, operations, { mode, order }));
+    }
 
-    // ---- Assemble ----
-    card.append(
-      header,
-      tabBar,
-      textareaPanel,
-      filePanel,
-      optionsRow,
-      actionRow,
-      progressContainer,
-    );
-    anchorSection.parentElement.insertBefore(card, anchorSection);
+    /**
+     * Collect the items to upload from the active tab. Resolves with null
+     * (after logging why) when the input can't be read.
+     */
+    async function readItems(listId) {
+      if (activeTab === "list") {
+        const sourceId = copyInput.value.match(/ls\d+/)?.[0];
+        if (!sourceId) {
+          logError("Enter the ID or URL of the list to copy from.");
+          return null;
+        }
+        if (sourceId === listId) {
+          logError("Choose a different list than the one being edited.");
+          return null;
+        }
 
-    // ---- Start handler ----
-    startBtn.addEventListener("click", async () => {
-      if (running) return;
+        try {
+          const source = await fetchListItems(sourceId);
+          return source.map((item) => ({
+            id: item.id,
+            description: copyDescriptions.checked ? item.description : "",
+          }));
+        } catch (err) {
+          logError(`Could not read list ${sourceId}: ${err.message}`);
+          return null;
+        }
+      }
 
-      // Read input
-      let raw = "";
+      const options = {
+        extract: extractCheckbox.checked,
+        trailingDescriptions: trailingCheckbox.checked,
+      };
+      let items;
       if (activeTab === "textarea") {
-        raw = textarea.value;
+        updateMapping(parseTable(textarea.value));
+        items = parseInput(textarea.value, {
+          ...options,
+          mapping: currentMapping(),
+        });
       } else {
-        const file = fileInput.files[0];
-        if (!file) {
-          showLog(logList, "No file selected.", "error");
-          return;
+        if (files.length === 0) {
+          logError("No file selected.");
+          return null;
         }
-        raw = await file.text();
+        items = readFileItems(options);
+        if (!items) return null;
       }
 
-      const items = parseInput(raw);
-      if (items.length === 0) {
-        showLog(
-          logList,
-          "No valid items found. Check your input format.",
-          "error",
+      try {
+        return await expandListReferences(items, listId, (ref) => {
+          startBtn.textContent = `Reading ${ref}…`;
+        });
+      } catch (err) {
+        logError(`Could not read a referenced list: ${err.message}`);
+        return null;
+      }
+    }
+
+    /**
+     * Items from the chosen files: their merged table through the column
+     * mapping, or in extract mode the IDs in each file. With several files,
+     * each item keeps its `source` and the log says what came from where.
+     * Resolves with null (after logging why) when the files can't be merged.
+     */
+    function readFileItems(options) {
+      const multiple = files.length > 1;
+      let items;
+      if (!options.extract && !fileTable) {
+        logError(fileMergeError ?? "The chosen files have no rows.");
+        return null;
+      }
+      if (options.extract) {
+        items = files.flatMap((file) =>
+          parseInput(fileToText(file), options).map((item) =>
+            multiple ? { ...item, source: sourceLabel(file) } : item,
+          ),
+        );
+      } else {
+        updateMapping(fileTable);
+        items = tableToItems(
+          fileTable,
+          currentMapping() ?? guessMapping(fileTable),
         );
-        return;
       }
+      if (!multiple) return items;
 
-      // Reset UI
-      running = true;
-      aborted = false;
+      progressContainer.classList.remove("bu-hidden");
+      const counts = files.map((file) => {
+        const label = sourceLabel(file);
+        return `${label} (${items.filter((item) => item.source === label).length})`;
+      });
+      showLog(
+        logList,
+        `Merged ${items.length} row(s) from ${files.length} files: ${counts.join(", ")}.`,
+        "info",
+      );
+      if (!options.extract) {
+        fileIgnored.forEach(({ source, columns }) => {
+          showLog(
+            logList,
+            `${source}: column(s) ${columns.join(", ")} aren't in ${sourceLabel(files[0])} and were left out.`,
+            "warn",
+          );
+        });
+      }
+      return items;
+    }
+
+    /** Log an error that stops the upload from starting, making the log visible. */
+    function logError(message) {
+      progressContainer.classList.remove("bu-hidden");
+      showLog(logList, message, "error");
+    }
+
+    /**
+     * Clear the progress area for a new run, with `done` of `total` already
+     * finished, and give it a fresh cancel controller, pause gate and the
+     * Pause and Cancel buttons.
+     */
+    function startProgress(done, total, label) {
+      controller = new AbortController();
+      gate = createGate();
       logList.innerHTML = "";
+      summaryPanel.classList.add("bu-hidden");
+      listProgress.classList.add("bu-hidden");
       progressContainer.classList.remove("bu-hidden");
+      pauseBtn.textContent = "Pause";
+      pauseBtn.classList.remove("bu-hidden");
       cancelBtn.classList.remove("bu-hidden");
       startBtn.disabled = true;
-      startBtn.textContent = "Uploading…";
-      progressBar.style.width = "0%";
-      progressText.textContent = `0 / ${items.length}`;
+      startBtn.textContent = label;
+      progressRate.textContent = "";
+      showProgress(done, total);
+    }
+
+    /** Set the progress bar and count to `done` of `total`. */
+    function showProgress(done, total) {
+      progressBar.style.width = `${total ? Math.round((done / total) * 100) : 100}%`;
+      progressText.textContent = `${done} / ${total}`;
+    }
+
+    /** Show `done` of `total` after one more finished, with the time left. */
+    function tickProgress(done, total) {
+      showProgress(done, total);
+      meter.tick();
+      progressRate.textContent = formatEta(total - done, meter.perMinute());
+    }
+
+    /** Log line for a retry of `what` (see withRetry's onRetry). */
+    function logRetry(what, attempt, wait, err) {
+      showLog(
+        logList,
+        `Retrying ${what} in ${(wait / 1000).toFixed(1)} s (attempt ${attempt}/${RETRY.maxRetries}): ${err.message}`,
+        "warn",
+      );
+    }
+
+    /** " (file:line)" naming the row of `items` a status is for, when files were merged. */
+    function rowSource(items, status) {
+      const item = items[status.index];
+      return item.source ? ` (${lineRef(item, status.index)})` : "";
+    }
+
+    /**
+     * Run (or continue) the upload for `job`, driving the progress bar and
+     * log. The job is saved after every item and cleared once it completes;
+     * a cancelled or interrupted job stays saved so it can be resumed.
+     */
+    async function runUpload(job) {
+      let items;
+      try {
+        items = await resumableItems(job);
+      } catch (err) {
+        logError(
+          `Could not check the list for items cancelled last time: ${err.message}`,
+        );
+        return;
+      }
+      const wording = MODES[job.mode || "add"];
+      // With parallel workers the unfinished items need not be contiguous
+      const pending = items
+        .map((_, i) => i)
+        .filter((i) => unfinished(job.statuses[i]));
+      let processed = items.length - pending.length;
+
+      startProgress(processed, items.length, wording.running);
 
-      showLog(logList, `Starting upload of ${items.length} item(s)…`, "info");
+      if (processed > 0) {
+        showLog(
+          logList,
+          `Resuming ${wording.noun.toLowerCase()}: ${pending.length} of ${items.length} item(s) left…`,
+          "info",
+        );
+      } else {
+        showLog(
+          logList,
+          `Starting ${wording.noun.toLowerCase()} of ${items.length} item(s)…`,
+          "info",
+        );
+      }
+      saveJob(job);
+
+      let authPaused = false;
+      const listLabel = (status) =>
+        job.lists ? `${job.lists[status.listId] ?? status.listId}: ` : "";
+      showListProgress(job);
 
       const opts = {
+        listId: job.listId,
         useDelay: delayCheckbox.checked,
         delayMs: parseInt(delaySelect.value, 10),
-        getAborted: () => aborted,
-        onProgress: (done, total, status) => {
-          const pct = Math.round((done / total) * 100);
-          progressBar.style.width = `${pct}%`;
-          progressText.textContent = `${done} / ${total}`;
+        retry: retryCheckbox.checked,
+        concurrency: parseInt(concurrencySelect.value, 10),
+        batch: batchCheckbox.checked,
+        pending,
+        signal: controller.signal,
+        gate,
+        onAuthPause: () => {
+          authPaused = true;
+        },
+        onBatchRefused: (err) => {
+          showLog(
+            logList,
+            `IMDb refused a batched request (${err.message}) – continuing one item at a time.`,
+            "warn",
+          );
+        },
+        onRetry: (item, attempt, wait, err) =>
+          logRetry(item.id, attempt, wait, err),
+        onThrottle: (wait) => {
+          showLog(
+            logList,
+            `IMDb is throttling requests – slowing down to ${(wait / 1000).toFixed(1)} s between items.`,
+            "warn",
+          );
+        },
+        onProgress: (index, total, status) => {
+          // A cancel that lands after the add leaves only the description to do
+          if (status.cancelled && status.action === "add" && status.itemId) {
+            status.descriptionPending = true;
+          }
+          job.statuses[status.index] = status;
+          saveJob(job);
 
-          if (status.ok) {
+          tickProgress(++processed, total);
+          showListProgress(job);
+
+          if (status.cancelled) {
+            showLog(
+              logList,
+              `[${index}/${total}] ${listLabel(status)}Cancelled ${status.id}${status.itemId ? " (added, description not set)" : ""}`,
+              "warn",
+            );
+          } else if (status.ok) {
             showLog(
               logList,
-              `[${done}/${total}] Added ${status.title} (${status.id})`,
+              `[${index}/${total}] ${listLabel(status)}${ACTION_LABELS[status.action]} ${status.title} (${status.id})`,
               "success",
             );
           } else {
             showLog(
               logList,
-              `[${done}/${total}] Failed ${status.id}: ${status.error}`,
+              `[${index}/${total}] ${listLabel(status)}Failed ${status.id}${rowSource(items, status)}: ${status.error}`,
               "error",
             );
           }
         },
       };
 
+      meter = createRateMeter(
+        expectedRate({
+          delayMs: opts.useDelay ? opts.delayMs : 0,
+          concurrency: opts.concurrency,
+          batch: opts.batch,
+        }),
+      );
+      progressRate.textContent = formatEta(pending.length, meter.perMinute());
+
       try {
-        const results = await processItems(items, opts);
-        const succeeded = results.filter((r) => r.ok).length;
-        const failed = results.filter((r) => !r.ok).length;
-        const msg = aborted
-          ? `Upload cancelled. ${succeeded} added, ${failed} failed.`
-          : `Upload complete! ${succeeded} added, ${failed} failed.`;
-        showLog(logList, msg, aborted ? "warn" : "info");
-
-        if (succeeded > 0) {
+        await processItems(items, opts);
+
+        if (authPaused) {
+          // Items that failed for want of a session are tried again on continue
+          job.statuses = job.statuses.map((s) =>
+            !s?.authError
+              ? s
+              : s.action === "add" && s.itemId
+                ? { ...s, descriptionPending: true }
+                : null,
+          );
+          saveJob(job);
+          showLog(
+            logList,
+            `Paused after ${AUTH_PAUSE_AFTER} sign-in errors in a row. Log in to IMDb again, then continue.`,
+            "warn",
+          );
+          showAuthPause(job);
+          return;
+        }
+
+        const cancelled = controller.signal.aborted;
+        const statuses = job.statuses.filter((s) => !unfinished(s));
+        const succeeded = statuses.filter((r) => r.ok).length;
+        const failed = statuses.filter((r) => !r.ok).length;
+        const msg = cancelled
+          ? `${wording.noun} cancelled. ${succeeded} ${wording.done}, ${failed} failed. You can resume it later.`
+          : `${wording.noun} complete! ${succeeded} ${wording.done}, ${failed} failed.`;
+        showLog(logList, msg, cancelled ? "warn" : "info");
+
+        let moved = 0;
+        if (job.order && !job.reordered && !cancelled) {
+          moved = await runReorder(job);
+        }
+        if (!jobPending(job)) clearJob(job.listId);
+
+        if ((succeeded > 0 || moved > 0) && job.listId === getListId()) {
           showRefreshButton(logList);
         }
+        showSummary(job);
+      } catch (err) {
+        showLog(logList, `Unexpected error: ${err.message}`, "error");
+      }
+    }
+
+    /**
+     * Check `items` against IMDb and their lists without changing anything,
+     * using the same progress bar, log and controls as an upload. Each
+     * item's `listId` is the list it would go to (null for a new list).
+     */
+    async function runDryRun(items) {
+      startProgress(0, items.length, "Checking…");
+      showLog(
+        logList,
+        `Dry run: checking ${items.length} item(s). Nothing will be changed.`,
+        "info",
+      );
+      const blocked = writeProblem(items);
+      if (blocked) {
+        showLog(logList, `A real run would fail: ${blocked}.`, "warn");
+      }
+
+      const listIds = [
+        ...new Set(items.map((item) => item.listId).filter(Boolean)),
+      ];
+      const listLabel = (status) =>
+        listIds.length > 1 ? `${listName(status.listId)}: ` : "";
+
+      try {
+        const existing = new Map();
+        for (const id of listIds) {
+          try {
+            const current = await fetchListItems(id);
+            existing.set(id, new Set(current.map((entry) => entry.id)));
+          } catch (err) {
+            showLog(
+              logList,
+              `Could not read ${listName(id)} (${err.message}) – items already on it won't be flagged.`,
+              "warn",
+            );
+          }
+        }
+
+        meter = createRateMeter(
+          (METADATA_BATCH_SIZE * 60000) / REQUEST_ESTIMATE_MS,
+        );
+
+        const results = await dryRunItems(items, {
+          existing,
+          retry: retryCheckbox.checked,
+          signal: controller.signal,
+          gate,
+          onRetry: (attempt, wait, err) =>
+            logRetry("lookup", attempt, wait, err),
+          onProgress: (done, total, status) => {
+            tickProgress(done, total);
+
+            if (!status.ok) {
+              showLog(
+                logList,
+                `[${done}/${total}] ${listLabel(status)}${status.id}${rowSource(items, status)}: ${status.error}`,
+                "error",
+              );
+              return;
+            }
+            const details = [status.type, status.year].filter(Boolean);
+            const place =
+              status.onList === true
+                ? " · already on list"
+                : status.onList === false
+                  ? " · new"
+                  : "";
+            showLog(
+              logList,
+              `[${done}/${total}] ${listLabel(status)}${status.id} – ${status.title} (${details.join(", ")})${place}`,
+              status.onList ? "warn" : "success",
+            );
+          },
+        });
+
+        const cancelled = controller.signal.aborted;
+        const found = results.filter((s) => s.ok).length;
+        showLog(
+          logList,
+          `Dry run ${cancelled ? "cancelled" : "complete"}: ${found} found, ${results.length - found} not found or invalid. Nothing was changed.`,
+          cancelled ? "warn" : "info",
+        );
+        showDryRunSummary(results, items.length, blocked);
       } catch (err) {
         showLog(logList, `Unexpected error: ${err.message}`, "error");
       }
-
-      running = false;
-      startBtn.disabled = false;
-      startBtn.textContent = "Start Upload";
-      cancelBtn.classList.add("bu-hidden");
+    }
+
+    /**
+     * Counts and the CSV download for a finished dry run, with `blocked`
+     * (see writeProblem) when a real run couldn't write to the list.
+     */
+    function showDryRunSummary(results, total, blocked) {
+      const found = results.filter((s) => s.ok).length;
+      const onList = results.filter((s) => s.onList).length;
+
+      summaryPanel.replaceChildren(
+        el("div", {
+          className: "bu-preview-summary",
+          textContent: `${found} found · ${results.length - found} not found or invalid · ${onList} already on the list · ${total - results.length} not checked${blocked ? ` · ${blocked}` : ""}`,
+        }),
+        el("div", { className: "bu-actions" }, [
+          el("button", {
+            textContent: "Download check (CSV)",
+            className: "bu-btn bu-btn-cancel",
+            onclick: () => downloadDryRun(results, getListId()),
+          }),
+        ]),
+      );
+      summaryPanel.classList.remove("bu-hidden");
+    }
+
+    /**
+     * Per-list counts for a job that spans several lists:
+     * [{listId, name, total, ok, failed}] in the order the lists first appear.
+     */
+    function listCounts(job) {
+      const counts = new Map();
+      job.items.forEach((item, i) => {
+        const listId = item.listId ?? job.listId;
+        if (!counts.has(listId)) {
+          counts.set(listId, {
+            listId,
+            name: job.lists?.[listId] ?? listId,
+            total: 0,
+            ok: 0,
+            failed: 0,
+          });
+        }
+        const entry = counts.get(listId);
+        const status = job.statuses[i];
+        entry.total++;
+        if (status?.ok) entry.ok++;
+        else if (!unfinished(status)) entry.failed++;
+      });
+      return [...counts.values()];
+    }
+
+    /** Show one progress line per target list (multi-list jobs only). */
+    function showListProgress(job) {
+      listProgress.classList.toggle("bu-hidden", !job.lists);
+      if (!job.lists) return;
+      listProgress.replaceChildren(
+        ...listCounts(job).map((c) =>
+          el("div", {
+            textContent: `${c.name}: ${c.ok + c.failed} / ${c.total}${c.failed ? ` (${c.failed} failed)` : ""}`,
+          }),
+        ),
+      );
+    }
+
+    /**
+     * Move the job's items into input order, with its own pass over the
+     * progress bar. Resolves with the number of items moved.
+     */
+    async function runReorder(job) {
+      showLog(logList, "Applying input order to the list…", "info");
+
+      let moves;
+      try {
+        moves = planReorder(await fetchListItems(job.listId), job.order);
+      } catch (err) {
+        showLog(
+          logList,
+          `Could not read the list to reorder it: ${err.message}`,
+          "error",
+        );
+        return 0;
+      }
+
+      if (moves.length === 0) {
+        job.reordered = true;
+        showLog(logList, "The list is already in input order.", "info");
+        return 0;
+      }
+
+      startBtn.textContent = "Reordering…";
+      showProgress(0, moves.length);
+      meter = createRateMeter(expectedRate({ delayMs: 0 }));
+      progressRate.textContent = formatEta(moves.length, meter.perMinute());
+
+      const results = await applyMoves(job.listId, moves, {
+        retry: retryCheckbox.checked,
+        signal: controller.signal,
+        gate,
+        onRetry: (move, attempt, wait, err) =>
+          logRetry(`move of ${move.id}`, attempt, wait, err),
+        onProgress: (done, total, status) => {
+          tickProgress(done, total);
+          showLog(
+            logList,
+            status.ok
+              ? `[${done}/${total}] Moved ${status.id} to #${status.position}`
+              : `[${done}/${total}] Could not move ${status.id}: ${status.error}`,
+            status.ok ? "success" : "error",
+          );
+        },
+      });
+
+      const moved = results.filter((r) => r.ok).length;
+      const cancelled = controller.signal.aborted;
+      if (!cancelled) job.reordered = true;
+      saveJob(job);
+      showLog(
+        logList,
+        `Reorder ${cancelled ? "cancelled" : "complete"}: ${moved} moved, ${results.length - moved} failed.`,
+        cancelled ? "warn" : "info",
+      );
+      return moved;
+    }
+
+    async function handleExport(button) {
+      const listId = getListId();
+      if (!listId || button.disabled) return;
+
+      button.disabled = true;
+      button.textContent = "Exporting…";
+      progressContainer.classList.remove("bu-hidden");
+      try {
+        const count = await exportList(listId);
+        showLog(logList, `Exported ${count} item(s) from ${listId}.`, "info");
+      } catch (err) {
+        showLog(logList, `Export failed: ${err.message}`, "error");
+      }
+      button.disabled = false;
+      button.textContent = "Export this list";
+    }
+
+    /** Post-run summary with report downloads, failed-row export and a "Retry failed only" action. */
+    function showSummary(job) {
+      const statuses = job.statuses.filter((s) => !unfinished(s));
+      const failed = failedItems(job);
+      const finished = firstUnfinished(job) === -1;
+
+      summaryPanel.innerHTML = "";
+      summaryPanel.append(
+        el("div", {
+          className: "bu-preview-summary",
+          textContent: `${statuses.filter((st) => st.ok).length} ${MODES[job.mode || "add"].done} · ${failed.length} failed · ${job.items.length - statuses.length} not processed`,
+        }),
+      );
+      if (job.lists) {
+        summaryPanel.append(
+          el(
+            "ul",
+            { className: "bu-list-summary" },
+            listCounts(job).map((c) =>
+              el("li", {}, [
+                el("a", {
+                  href: `/list/${c.listId}/`,
+                  target: "_blank",
+                  textContent: c.name,
+                }),
+                ` – ${c.ok} ${MODES[job.mode || "add"].done} · ${c.failed} failed · ${c.total - c.ok - c.failed} not processed`,
+              ]),
+            ),
+          ),
+        );
+      }
+
+      const actions = el("div", { className: "bu-actions" }, [
+        el("button", {
+          textContent: "Report (CSV)",
+          className: "bu-btn bu-btn-cancel",
+          onclick: () => downloadReport(job, "csv"),
+        }),
+        el("button", {
+          textContent: "Report (JSON)",
+          className: "bu-btn bu-btn-cancel",
+          onclick: () => downloadReport(job, "json"),
+        }),
+      ]);
+
+      if (failed.length > 0) {
+        actions.prepend(
+          el("button", {
+            textContent: "Download failed rows (CSV)",
+            className: "bu-btn bu-btn-cancel",
+            onclick: () => downloadFailedItems(job),
+          }),
+        );
+        // A cancelled job stays resumable; retrying would replace it.
+        if (finished) {
+          actions.prepend(
+            el("button", {
+              textContent: `Retry ${failed.length} failed item(s)`,
+              className: "bu-btn bu-btn-primary",
+              onclick: async () => {
+                if (running) return;
+                running = true;
+                await runUpload(
+                  createJob(
+                    job.listId,
+                    failed.map(({ error, ...item }) => item),
+                    { mode: job.mode, order: job.order, lists: job.lists },
+                  ),
+                );
+                resetControls();
+              },
+            }),
+          );
+        }
+      }
+
+      summaryPanel.append(actions);
+      summaryPanel.classList.remove("bu-hidden");
+    }
+
+    /** Offer to continue an unfinished job saved for this list. */
+    function showResumeBanner(job) {
+      const done = job.statuses.filter((s) => !unfinished(s)).length;
+      const started = new Date(job.createdAt).toLocaleString();
+
+      resumeBanner.innerHTML = "";
+      resumeBanner.append(
+        el("span", {
+          className: "bu-banner-text",
+          textContent: `Unfinished upload from ${started}: ${done} of ${job.items.length} item(s) processed.`,
+        }),
+        el("button", {
+          textContent: "Resume previous upload",
+          className: "bu-btn bu-btn-primary",
+          onclick: async () => {
+            if (running) return;
+            running = true;
+            hideResumeBanner();
+            await runUpload(job);
+            resetControls();
+          },
+        }),
+        el("button", {
+          textContent: "Discard",
+          className: "bu-btn bu-btn-cancel",
+          onclick: () => {
+            clearJob(job.listId);
+            hideResumeBanner();
+          },
+        }),
+      );
+      resumeBanner.classList.remove("bu-hidden");
+    }
+
+    function hideResumeBanner() {
+      resumeBanner.classList.add("bu-hidden");
+    }
+
+    function resetControls() {
+      running = false;
+      startBtn.disabled = false;
+      startBtn.textContent = startLabel();
+      pauseBtn.classList.add("bu-hidden");
+      cancelBtn.classList.add("bu-hidden");
+    }
+
+    pauseBtn.addEventListener("click", () => {
+      if (gate.paused) {
+        gate.resume();
+        meter?.resume();
+        pauseBtn.textContent = "Pause";
+        showLog(logList, "Resumed.", "info");
+      } else {
+        gate.pause();
+        meter?.pause();
+        pauseBtn.textContent = "Resume";
+        showLog(
+          logList,
+          "Paused – requests already sent will finish, nothing new starts until you resume.",
+          "warn",
+        );
+      }
     });
 
     cancelBtn.addEventListener("click", () => {
-      aborted = true;
+      controller.abort();
+      gate.resume();
+      pauseBtn.classList.add("bu-hidden");
       cancelBtn.classList.add("bu-hidden");
-      showLog(logList, "Cancelling… will stop after current item.", "warn");
+      showLog(logList, "Cancelling… stopping requests in flight.", "warn");
+    });
+
+    // ---- Offer to resume a saved job ----
+    const savedJob = getListId() && loadJob(getListId());
+    if (savedJob && jobPending(savedJob)) {
+      showResumeBanner(savedJob);
+    }
+
+    // ---- Check the session up front ----
+    checkAccess(getListId()).then((result) => {
+      if (!running) showAccess(result);
     });
 
     // ---- Inject styles ----
@@ -637,6 +5394,622 @@
     container.scrollTop = container.scrollHeight;
   }
 
+  const PREVIEW_STATE_LABELS = {
+    new: "New",
+    existing: "Already on list",
+    duplicate: "Repeated in input",
+  };
+
+  /**
+   * Render the pre-upload review into `container` and wait for the user's
+   * decision. Every row is editable; edits re-run validation and the
+   * comparison with the list, and the upload button stays disabled while any
+   * row that would be uploaded has an error. Resolves with
+   * {selected, all} – the items to upload and every remaining row, in input
+   * order – or null on "Back".
+   *
+   * @param {HTMLElement} container
+   * @param {Array<object>} items  Parsed items.
+   * @param {Array<object>} existing  Current list items (fetchListItems).
+   * @param {object}  [opts]
+   * @param {string}  [opts.warning]  Shown above the table.
+   * @param {boolean} [opts.skipExisting=true]  Initial state of "Skip items already on the list".
+   * @param {boolean} [opts.allowEmpty=false]  Allow confirming with nothing to
+   *   upload (when the run has other work, such as reordering).
+   * @param {object}  [opts.lists]  List ID → name when items go to several
+   *   lists; adds a List column.
+   */
+  function showPreview(
+    container,
+    items,
+    existing,
+    {
+      warning = "",
+      skipExisting = true,
+      allowEmpty = false,
+      lists = null,
+    } = {},
+  ) {
+    return new Promise((resolve) => {
+      const skipExistingBox = el("input", {
+        type: "checkbox",
+        checked: skipExisting,
+      });
+      const skipDuplicates = el("input", { type: "checkbox", checked: true });
+      const summary = el("div", { className: "bu-preview-summary" });
+      const confirmBtn = el("button", { className: "bu-btn bu-btn-primary" });
+      const editor = createMarkupEditor();
+
+      // One entry per input row; `removed` rows are left out of everything.
+      const rows = items.map((item, i) => {
+        const row = { item: { ...item }, removed: false };
+
+        const idInput = el("input", {
+          type: "text",
+          className: "bu-cell-input",
+          value: item.id,
+          spellcheck: false,
+          onchange: () => {
+            row.item.id = idInput.value.trim();
+            refresh();
+          },
+        });
+        const descInput = el("textarea", {
+          className: "bu-cell-input",
+          value: item.description,
+          rows: 1,
+          onchange: () => {
+            row.item.description = descInput.value.trim();
+            refresh();
+          },
+          onfocus: () => editor.attach(descInput, `line ${lineRef(item, i)}`),
+        });
+        row.status = el("td");
+        row.tr = el("tr", {}, [
+          el("td", { textContent: lineRef(item, i) }),
+          lists && el("td", { textContent: lists[item.listId] ?? item.listId }),
+          el("td", {}, [idInput]),
+          el("td", {}, [descInput]),
+          row.status,
+          el("td", {}, [
+            el("button", {
+              textContent: "×",
+              title: "Remove this row",
+              className: "bu-row-remove",
+              onclick: () => {
+                row.removed = true;
+                row.tr.remove();
+                refresh();
+              },
+            }),
+          ]),
+        ]);
+        return row;
+      });
+
+      const isSkipped = (row) =>
+        (skipExistingBox.checked && row.state === "existing") ||
+        (skipDuplicates.checked && row.state === "duplicate");
+
+      function refresh() {
+        const live = rows.filter((r) => !r.removed);
+        const states = diffAgainstList(
+          live.map((r) => r.item),
+          existing,
+        );
+        const issues = validateItems(live.map((r) => r.item));
+
+        live.forEach((row, i) => {
+          row.state = states[i].state;
+          row.issues = issues[i];
+          row.invalid = row.issues.some((x) => x.level === "error");
+
+          row.status.textContent = [
+            PREVIEW_STATE_LABELS[row.state],
+            ...row.issues.map((x) => x.message),
+          ].join(" · ");
+          row.tr.className = row.invalid
+            ? "bu-row-invalid"
+            : `bu-row-${row.state}`;
+        });
+
+        const count = (state) => live.filter((r) => r.state === state).length;
+        const blocking = live.filter((r) => r.invalid && !isSkipped(r)).length;
+        const selected = live.filter((r) => !isSkipped(r)).length;
+
+        summary.textContent =
+          `${count("new")} new · ${count("existing")} already on ${lists ? "their list" : "the list"} · ${count("duplicate")} repeated in the input` +
+          (blocking
+            ? ` · ${blocking} row(s) with errors to fix or remove`
+            : "");
+        confirmBtn.textContent =
+          selected || !allowEmpty ? `Upload ${selected} item(s)` : "Continue";
+        confirmBtn.disabled = (selected === 0 && !allowEmpty) || blocking > 0;
+      }
+
+      skipExistingBox.addEventListener("change", refresh);
+      skipDuplicates.addEventListener("change", refresh);
+
+      const table = el("table", { className: "bu-preview-table" }, [
+        el("thead", {}, [
+          el("tr", {}, [
+            el("th", { textContent: "Line" }),
+            lists && el("th", { textContent: "List" }),
+            el("th", { textContent: "ID" }),
+            el("th", { textContent: "Description" }),
+            el("th", { textContent: "Status" }),
+            el("th"),
+          ]),
+        ]),
+        el(
+          "tbody",
+          {},
+          rows.map((r) => r.tr),
+        ),
+      ]);
+      refresh();
+
+      const finish = (result) => {
+        container.innerHTML = "";
+        container.classList.add("bu-hidden");
+        resolve(result);
+      };
+      confirmBtn.addEventListener("click", () => {
+        const live = rows.filter((r) => !r.removed);
+        finish({
+          selected: live.filter((r) => !isSkipped(r)).map((r) => r.item),
+          all: live.map((r) => r.item),
+        });
+      });
+
+      container.innerHTML = "";
+      if (warning) {
+        container.append(
+          el("div", { className: "bu-preview-warning", textContent: warning }),
+        );
+      }
+      container.append(
+        summary,
+        el("div", { className: "bu-preview-scroll" }, [table]),
+        editor.element,
+        el("div", { className: "bu-options" }, [
+          el("label", { className: "bu-delay-label" }, [
+            skipExistingBox,
+            el("span", { textContent: "Skip items already on the list" }),
+          ]),
+          el("label", { className: "bu-delay-label" }, [
+            skipDuplicates,
+            el("span", { textContent: "Skip repeated rows" }),
+          ]),
+        ]),
+        el("div", { className: "bu-actions" }, [
+          confirmBtn,
+          el("button", {
+            textContent: "Back",
+            className: "bu-btn bu-btn-cancel",
+            onclick: () => finish(null),
+          }),
+        ]),
+      );
+      container.classList.remove("bu-hidden");
+    });
+  }
+
+  /**
+   * Show a sync or descriptions-only plan for confirmation: what will be
+   * added, which descriptions change, what will be removed and which rows
+   * are not on the list. With `toggles`, removals and description updates
+   * can be switched off; input rows with errors (see validateItems) block
+   * the run. Resolves with the operations to run – additions, then updates,
+   * then removals – or null on "Back".
+   */
+  function showChangesPreview(
+    container,
+    plan,
+    issues,
+    { toggles = true } = {},
+  ) {
+    return new Promise((resolve) => {
+      const applyUpdates = el("input", { type: "checkbox", checked: true });
+      const applyRemovals = el("input", { type: "checkbox", checked: true });
+      const confirmBtn = el("button", { className: "bu-btn bu-btn-primary" });
+      const errors = issues.flat().filter((x) => x.level === "error").length;
+
+      const row = (className, action, item, detail) =>
+        el("tr", { className }, [
+          el("td", { textContent: action }),
+          el("td", { textContent: item.id }),
+          el("td", { textContent: item.title || "" }),
+          el("td", { textContent: detail }),
+        ]);
+
+      const table = el("table", { className: "bu-preview-table" }, [
+        el("thead", {}, [
+          el("tr", {}, [
+            el("th", { textContent: "Change" }),
+            el("th", { textContent: "ID" }),
+            el("th", { textContent: "Title" }),
+            el("th", { textContent: "Description" }),
+          ]),
+        ]),
+        el("tbody", {}, [
+          ...plan.add.map((item) =>
+            row("bu-row-new", "Add", item, item.description),
+          ),
+          ...plan.update.map((item) =>
+            row(
+              "bu-row-duplicate",
+              "Update",
+              item,
+              `${item.previous || "(empty)"} → ${item.description || "(empty)"}`,
+            ),
+          ),
+          ...plan.remove.map((item) =>
+            row(
+              "bu-row-invalid",
+              "Remove",
+              item,
+              [
+                item.createdDate && `Added ${item.createdDate.slice(0, 10)}`,
+                item.description,
+              ]
+                .filter(Boolean)
+                .join(" — "),
+            ),
+          ),
+          ...(plan.missing ?? []).map((item) =>
+            row("bu-row-unmatched", "Not on list", item, item.description),
+          ),
+        ]),
+      ]);
+
+      const operations = () => [
+        ...plan.add,
+        ...(applyUpdates.checked ? plan.update : []),
+        ...(applyRemovals.checked ? plan.remove : []),
+      ];
+      const updateConfirm = () => {
+        const n = operations().length;
+        confirmBtn.textContent = `Apply ${n} change(s)`;
+        confirmBtn.disabled = n === 0 || errors > 0;
+      };
+      applyUpdates.addEventListener("change", updateConfirm);
+      applyRemovals.addEventListener("change", updateConfirm);
+      updateConfirm();
+
+      const finish = (result) => {
+        container.innerHTML = "";
+        container.classList.add("bu-hidden");
+        resolve(result);
+      };
+      confirmBtn.addEventListener("click", () => finish(operations()));
+
+      container.innerHTML = "";
+      if (errors > 0) {
+        container.append(
+          el("div", {
+            className: "bu-preview-warning",
+            textContent: `The input has ${errors} error(s) – switch to "Add to list" to see and fix them, then try again.`,
+          }),
+        );
+      }
+      container.append(
+        el("div", {
+          className: "bu-preview-summary",
+          textContent: [
+            toggles && `${plan.add.length} to add`,
+            (toggles || plan.update.length > 0) &&
+              `${plan.update.length} description(s) to update`,
+            (toggles || plan.remove.length > 0) &&
+              `${plan.remove.length} to remove`,
+            (toggles || plan.unchanged.length > 0) &&
+              `${plan.unchanged.length} unchanged`,
+            plan.missing && `${plan.missing.length} not on the list`,
+          ]
+            .filter(Boolean)
+            .join(" · "),
+        }),
+        el("div", { className: "bu-preview-scroll" }, [table]),
+        el("div", { className: `bu-options${toggles ? "" : " bu-hidden"}` }, [
+          el("label", { className: "bu-delay-label" }, [
+            applyUpdates,
+            el("span", { textContent: "Update changed descriptions" }),
+          ]),
+          el("label", { className: "bu-delay-label" }, [
+            applyRemovals,
+            el("span", { textContent: "Remove items not in the input" }),
+          ]),
+        ]),
+        el("div", { className: "bu-actions" }, [
+          confirmBtn,
+          el("button", {
+            textContent: "Back",
+            className: "bu-btn bu-btn-cancel",
+            onclick: () => finish(null),
+          }),
+        ]),
+      );
+      container.classList.remove("bu-hidden");
+    });
+  }
+
+  /** HTML elements the description markup tags render as. */
+  const MARKUP_ELEMENTS = { b: "strong", i: "em", h2: "h2", link: "a" };
+
+  /**
+   * Render description markup the way IMDb shows it, as DOM nodes (so no
+   * input is ever parsed as HTML). Unknown or malformed tags stay as text;
+   * tags left open run to the end.
+   */
+  function renderMarkup(text) {
+    const root = document.createDocumentFragment();
+    const stack = [{ name: null, node: root }];
+    const top = () => stack[stack.length - 1].node;
+    let last = 0;
+
+    for (const match of text.matchAll(/\[(\/?)([a-z0-9]+)(?:=([^\]]*))?\]/gi)) {
+      const [raw, closing, rawName, value] = match;
+      const name = rawName.toLowerCase();
+      top().append(text.slice(last, match.index));
+      last = match.index + raw.length;
+
+      const openAt = stack.findLastIndex((entry) => entry.name === name);
+      const target =
+        name === "link" && /^(\/|https?:\/\/)\S+$/.test(value?.trim() ?? "")
+          ? value.trim()
+          : null;
+      if (closing && openAt > 0) {
+        stack.length = openAt;
+      } else if (
+        !closing &&
+        MARKUP_ELEMENTS[name] &&
+        (name === "link" ? target : value === undefined)
+      ) {
+        const node = document.createElement(MARKUP_ELEMENTS[name]);
+        if (target) {
+          node.href = target.startsWith("/")
+            ? `https://www.imdb.com${target}`
+            : target;
+          node.target = "_blank";
+          node.rel = "noopener noreferrer";
+        }
+        top().append(node);
+        stack.push({ name, node });
+      } else {
+        top().append(raw);
+      }
+    }
+
+    top().append(text.slice(last));
+    return root;
+  }
+
+  /**
+   * A description editor for the preview table. `attach(textarea, label)`
+   * points it at a description cell; the toolbar wraps the cell's selection
+   * in markup tags, the link picker turns a pasted IMDb URL into
+   * `[link=/title/tt…/]`, and the cell is rendered live with its markup
+   * warnings. Edits fire the cell's "change" event.
+   */
+  function createMarkupEditor() {
+    let target = null;
+    const heading = el("div", { className: "bu-preview-summary" });
+    const rendered = el("div", { className: "bu-markup-render" });
+    const notes = el("ul", { className: "bu-markup-issues" });
+    const linkInput = el("input", {
+      type: "text",
+      className: "bu-input",
+      placeholder: "Paste an IMDb URL or ID",
+      spellcheck: false,
+    });
+
+    function update() {
+      const text = target?.value ?? "";
+      rendered.replaceChildren(renderMarkup(text));
+      notes.replaceChildren(
+        ...checkMarkup(text).map((x) =>
+          el("li", {
+            className: x.level === "error" ? "bu-log-error" : "bu-log-warn",
+            textContent: x.message,
+          }),
+        ),
+      );
+    }
+
+    /** Wrap the cell's selection (or `placeholder`) in `open`…`close`. */
+    function wrap(open, close, placeholder) {
+      if (!target) return;
+      const { selectionStart: start, selectionEnd: end, value } = target;
+      const inner = value.slice(start, end) || placeholder;
+      target.value =
+        value.slice(0, start) + open + inner + close + value.slice(end);
+      target.focus();
+      target.setSelectionRange(
+        start + open.length,
+        start + open.length + inner.length,
+      );
+      target.dispatchEvent(new Event("change"));
+      update();
+    }
+
+    const tool = (textContent, title, onclick) =>
+      el("button", {
+        type: "button",
+        className: "bu-tool-btn",
+        textContent,
+        title,
+        // Keep the cell's selection when the button is pressed
+        onmousedown: (e) => e.preventDefault(),
+        onclick,
+      });
+
+    const linkError = el("span", { className: "bu-log-error" });
+    const insertLink = () => {
+      const link = linkTarget(linkInput.value);
+      linkError.textContent = link ? "" : "Not an IMDb URL or ID";
+      if (!link) return;
+      wrap(`[link=${link}]`, "[/link]", "link text");
+      linkInput.value = "";
+    };
+    linkInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        insertLink();
+      }
+    });
+
+    const element = el("div", { className: "bu-markup bu-hidden" }, [
+      heading,
+      el("div", { className: "bu-markup-toolbar" }, [
+        tool("B", "Bold – [b]…[/b]", () => wrap("[b]", "[/b]", "bold")),
+        tool("I", "Italic – [i]…[/i]", () => wrap("[i]", "[/i]", "italic")),
+        tool("H2", "Heading – [h2]…[/h2]", () =>
+          wrap("[h2]", "[/h2]", "heading"),
+        ),
+        linkInput,
+        tool("Link", "Wrap the selection in a link to this URL", insertLink),
+        linkError,
+      ]),
+      rendered,
+      notes,
+    ]);
+
+    return {
+      element,
+      attach(textarea, label) {
+        target?.removeEventListener("input", update);
+        target = textarea;
+        target.addEventListener("input", update);
+        heading.textContent = `Description preview · ${label}`;
+        element.classList.remove("bu-hidden");
+        update();
+      },
+    };
+  }
+
+  const TYPE_LABELS = { movie: "Movie", series: "Series", person: "Person" };
+
+  /** One-line label for a lookup candidate, e.g. "Heat (1995) · Movie · tt0113277". */
+  function candidateLabel(c) {
+    const year = c.year ? ` (${c.year})` : "";
+    const detail = c.detail ? ` – ${c.detail}` : "";
+    return `${c.title}${year} · ${TYPE_LABELS[c.type] || c.type} · ${c.id}${detail}`;
+  }
+
+  /**
+   * Show the title-lookup results for review: clear matches are preselected,
+   * ambiguous rows must be picked by hand and unmatched rows are skipped.
+   * Resolves with the items (lookup rows replaced by their chosen const,
+   * skipped rows dropped), or null on "Back".
+   */
+  function showLookupReview(container, items) {
+    return new Promise((resolve) => {
+      const lookups = items.filter((item) => item.lookup);
+      const selects = new Map();
+
+      const rows = lookups.map((item) => {
+        const query = [
+          item.lookup.title,
+          item.lookup.year && `(${item.lookup.year})`,
+          item.lookup.type &&
+            `[${TYPE_LABELS[item.lookup.type] || item.lookup.type}]`,
+        ]
+          .filter(Boolean)
+          .join(" ");
+
+        const select = el("select", { className: "bu-select" }, [
+          el("option", { value: "", textContent: "— Skip this row —" }),
+          ...item.candidates.map((c) =>
+            el("option", { value: c.id, textContent: candidateLabel(c) }),
+          ),
+        ]);
+        select.value = item.match?.id ?? "";
+        select.addEventListener("change", updateConfirm);
+        selects.set(item, select);
+
+        const state = item.match
+          ? "matched"
+          : item.candidates.length
+            ? "ambiguous"
+            : "unmatched";
+        const note = item.lookupError
+          ? `Lookup failed: ${item.lookupError}`
+          : item.match
+            ? "Matched"
+            : item.candidates.length
+              ? "Pick a match"
+              : "No match found";
+
+        return el("tr", { className: `bu-row-${state}` }, [
+          el("td", { textContent: query }),
+          el("td", {}, [select]),
+          el("td", { textContent: note }),
+        ]);
+      });
+
+      const table = el("table", { className: "bu-preview-table" }, [
+        el("thead", {}, [
+          el("tr", {}, [
+            el("th", { textContent: "Searched for" }),
+            el("th", { textContent: "IMDb match" }),
+            el("th", { textContent: "Status" }),
+          ]),
+        ]),
+        el("tbody", {}, rows),
+      ]);
+
+      const confirmBtn = el("button", {
+        textContent: "Continue",
+        className: "bu-btn bu-btn-primary",
+      });
+      const summary = el("div", { className: "bu-preview-summary" });
+
+      function updateConfirm() {
+        const picked = lookups.filter((item) => selects.get(item).value).length;
+        summary.textContent = `${picked} of ${lookups.length} title(s) matched · unmatched rows are skipped`;
+      }
+      updateConfirm();
+
+      const finish = (result) => {
+        container.innerHTML = "";
+        container.classList.add("bu-hidden");
+        resolve(result);
+      };
+
+      confirmBtn.addEventListener("click", () => {
+        const resolved = items
+          .map((item) => {
+            if (!item.lookup) return item;
+            const id = selects.get(item).value;
+            if (!id) return null;
+            // Drop the lookup's working fields now that the row has its const
+            const copy = { ...item, id };
+            ["lookup", "candidates", "match", "lookupError"].forEach(
+              (key) => delete copy[key],
+            );
+            return copy;
+          })
+          .filter(Boolean);
+        finish(resolved);
+      });
+
+      container.innerHTML = "";
+      container.append(
+        summary,
+        el("div", { className: "bu-preview-scroll" }, [table]),
+        el("div", { className: "bu-actions" }, [
+          confirmBtn,
+          el("button", {
+            textContent: "Back",
+            className: "bu-btn bu-btn-cancel",
+            onclick: () => finish(null),
+          }),
+        ]),
+      );
+      container.classList.remove("bu-hidden");
+    });
+  }
+
   /** Append a "Refresh page" button to the log after a successful upload. */
   function showRefreshButton(container) {
     const wrapper = el("div", { className: "bu-refresh-row" }, [
@@ -686,6 +6059,11 @@
         font-weight: 700;
         color: rgba(0,0,0,0.54);
       }
+      .bu-header-right {
+        display: flex;
+        align-items: center;
+        gap: 16px;
+      }
       .bu-link-btn {
         background: none;
         border: none;
@@ -698,6 +6076,116 @@
         text-underline-offset: 2px;
       }
       .bu-link-btn:hover { color: #e0b400; }
+      .bu-link-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      /* Description template */
+      .bu-template {
+        margin-top: 12px;
+      }
+      .bu-template .bu-mode-hint {
+        display: block;
+        margin-top: 4px;
+      }
+
+      /* Markup editor */
+      .bu-markup {
+        margin-top: 12px;
+        padding: 12px;
+        border: 1px solid rgba(0,0,0,0.12);
+        border-radius: 4px;
+      }
+      .bu-markup-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin: 8px 0;
+      }
+      .bu-markup-toolbar .bu-input {
+        flex: 1;
+        margin: 0;
+      }
+      .bu-tool-btn {
+        min-width: 32px;
+        padding: 4px 8px;
+        border: 1px solid rgba(0,0,0,0.2);
+        border-radius: 4px;
+        background: #fff;
+        font-size: 12px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .bu-tool-btn:hover { background: rgba(0,0,0,0.04); }
+      .bu-markup-render {
+        min-height: 20px;
+        padding: 8px;
+        background: rgba(0,0,0,0.02);
+        font-size: 14px;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+      .bu-markup-render h2 { margin: 0; font-size: 18px; }
+      .bu-markup-render a { color: #136cb2; }
+      .bu-markup-issues {
+        margin: 6px 0 0;
+        padding-left: 18px;
+        font-size: 12px;
+      }
+
+      /* Target lists */
+      .bu-targets {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px 16px;
+        max-height: 160px;
+        overflow-y: auto;
+        margin-top: 8px;
+        padding: 8px 12px;
+        border: 1px solid rgba(0,0,0,0.12);
+        border-radius: 4px;
+        font-size: 13px;
+      }
+      .bu-list-progress,
+      .bu-list-summary {
+        margin: 8px 0 0;
+        font-size: 12px;
+        color: rgba(0,0,0,0.54);
+      }
+      .bu-list-summary { padding-left: 18px; }
+
+      /* Mode */
+      .bu-mode-hint {
+        font-size: 12px;
+        color: rgba(0,0,0,0.38);
+      }
+
+      /* Banner */
+      .bu-banner {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 10px;
+        padding: 10px 12px;
+        margin-bottom: 12px;
+        border-radius: 4px;
+        background: rgba(245,197,24,0.12);
+        border: 1px solid rgba(245,197,24,0.5);
+      }
+      .bu-banner-ok {
+        background: rgba(76,175,80,0.08);
+        border-color: rgba(76,175,80,0.4);
+      }
+      .bu-banner-error {
+        background: rgba(244,67,54,0.08);
+        border-color: rgba(244,67,54,0.4);
+      }
+      .bu-banner-text {
+        flex: 1;
+        font-size: 13px;
+        color: rgba(0,0,0,0.7);
+      }
 
       /* Tabs */
       .bu-tabs {
@@ -748,6 +6236,24 @@
       .bu-textarea:focus { border-color: #f5c518; }
       .bu-textarea::placeholder { color: rgba(0,0,0,0.25); }
 
+      .bu-input {
+        width: 100%;
+        padding: 8px 12px;
+        border: 1px solid rgba(0,0,0,0.25);
+        border-radius: 4px;
+        background: #fff;
+        color: rgba(0,0,0,0.7);
+        font-size: 13px;
+        box-sizing: border-box;
+        outline: none;
+        transition: border-color 0.15s;
+      }
+      .bu-input:focus { border-color: #f5c518; }
+      .bu-options-inline {
+        margin: 8px 0 0;
+        flex-wrap: wrap;
+      }
+
       /* File upload */
       .bu-file-input {
         position: absolute;
@@ -774,11 +6280,51 @@
         color: #f5c518;
       }
       .bu-file-text { font-size: 14px; }
+      .bu-file-list {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin-top: 8px;
+      }
+      .bu-file-entry {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 13px;
+      }
+      .bulk-uploader-card.bu-dragover {
+        outline: 2px dashed #f5c518;
+        outline-offset: -6px;
+      }
+
+      /* Column mapping */
+      .bu-mapping {
+        margin-bottom: 12px;
+        padding: 12px;
+        border: 1px solid rgba(0,0,0,0.12);
+        border-radius: 4px;
+        background: #fff;
+      }
+      .bu-mapping-grid {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px 16px;
+        margin-bottom: 10px;
+      }
+      .bu-mapping > .bu-mapping-field { margin-bottom: 8px; }
+      .bu-mapping-field {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        font-size: 12px;
+        color: rgba(0,0,0,0.54);
+      }
 
       /* Options */
       .bu-options {
         display: flex;
         align-items: center;
+        flex-wrap: wrap;
         gap: 12px;
         margin-bottom: 16px;
       }
@@ -856,6 +6402,78 @@
       .bu-btn-refresh:hover { background: #e0b400; }
       .bu-hidden { display: none !important; }
 
+      /* Preview */
+      .bu-preview { margin-top: 16px; }
+      .bu-preview-warning {
+        font-size: 13px;
+        color: #e65100;
+        margin-bottom: 8px;
+      }
+      .bu-preview-summary {
+        font-size: 13px;
+        font-weight: 600;
+        color: rgba(0,0,0,0.54);
+        margin-bottom: 8px;
+      }
+      .bu-preview-scroll {
+        max-height: 240px;
+        overflow-y: auto;
+        border: 1px solid rgba(0,0,0,0.12);
+        border-radius: 4px;
+        margin-bottom: 12px;
+        background: #fff;
+      }
+      .bu-preview-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      .bu-preview-table th {
+        position: sticky;
+        top: 0;
+        background: rgb(245, 245, 245);
+        text-align: left;
+        font-weight: 600;
+        color: rgba(0,0,0,0.54);
+      }
+      .bu-preview-table th,
+      .bu-preview-table td {
+        padding: 4px 8px;
+        border-bottom: 1px solid rgba(0,0,0,0.06);
+        vertical-align: top;
+      }
+      .bu-row-existing  { color: rgba(0,0,0,0.38); }
+      .bu-row-duplicate { color: #e65100; }
+      .bu-row-invalid   { color: #d32f2f; background: rgba(211,47,47,0.06); }
+      .bu-row-ambiguous { color: #e65100; }
+      .bu-row-unmatched { color: #d32f2f; }
+
+      .bu-cell-input {
+        width: 100%;
+        padding: 2px 4px;
+        border: 1px solid transparent;
+        border-radius: 3px;
+        background: transparent;
+        color: inherit;
+        font-family: 'Roboto Mono', monospace;
+        font-size: 12px;
+        line-height: 1.5;
+        box-sizing: border-box;
+        resize: vertical;
+        outline: none;
+      }
+      .bu-cell-input:hover { border-color: rgba(0,0,0,0.12); }
+      .bu-cell-input:focus { border-color: #f5c518; background: #fff; }
+      .bu-row-remove {
+        background: none;
+        border: none;
+        color: rgba(0,0,0,0.38);
+        font-size: 16px;
+        line-height: 1;
+        cursor: pointer;
+      }
+      .bu-row-remove:hover { color: #d32f2f; }
+
       /* Progress */
       .bu-progress { margin-top: 16px; }
       .bu-progress-head {
@@ -878,6 +6496,11 @@
         border-radius: 3px;
         transition: width 0.3s ease;
       }
+      .bu-progress-rate {
+        font-size: 12px;
+        color: rgba(0,0,0,0.54);
+        white-space: nowrap;
+      }
       .bu-progress-text {
         font-size: 13px;
         font-weight: 600;
@@ -887,6 +6510,13 @@
         text-align: right;
       }
 
+      /* Summary */
+      .bu-summary {
+        margin-top: 12px;
+        padding-top: 12px;
+        border-top: 1px solid rgba(0,0,0,0.08);
+      }
+
       /* Log */
       .bu-log {
         max-height: 200px;
@@ -946,7 +6576,25 @@
     });
   }
 
-  waitForElement('[data-testid="entity-autocomplete-input"]')
-    .then(injectUI)
+  /**
+   * Whether this page gets the card. A list's page only does when the list
+   * is the user's own – IMDb has checked that already on its edit page – and
+   * a lists page only when it is the logged-in user's, for creating lists.
+   */
+  async function showsCard() {
+    const { pathname } = window.location;
+    const listsOf = pathname.match(/\/user\/(ur\d+)/)?.[1];
+    if (listsOf) return (await checkAccess(null)).userId === listsOf;
+    if (/\/edit/.test(pathname)) return true;
+    return (await checkAccess(getListId())).owner === true;
+  }
+
+  waitForElement(
+    /\/edit/.test(window.location.pathname)
+      ? '[data-testid="entity-autocomplete-input"]'
+      : "main section",
+  )
+    .then(showsCard)
+    .then((show) => show && injectUI())
     .catch(console.error);
 })();